@@ -3,185 +3,3334 @@
  * Handles all logging, notifications, badge updates, and data persistence
  */
 
+importScripts('risk-scores.js');
+
 // Track new logs count for badge
 let newLogsCount = 0;
 
 // Listen for permission usage messages from content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'PERMISSION_USAGE') {
-    handlePermissionUsage(message.data);
+    handlePermissionUsage(message.data, sender);
+  } else if (message.type === 'LIVE_STATE') {
+    setLocationWatchers(sender, message.locationWatchers);
   } else if (message.type === 'GET_LOGS') {
     getLogs().then(logs => sendResponse({ logs }));
     return true; // Keep message channel open for async response
+  } else if (message.type === 'QUERY_LOGS') {
+    queryLogs(message.query).then(result => sendResponse(result));
+    return true;
+  } else if (message.type === 'GET_LOG_STATS') {
+    getLogStats().then(stats => sendResponse(stats));
+    return true;
+  } else if (message.type === 'GET_LOG_SUMMARY') {
+    getLogSummary(message.query, message.options).then(summary => sendResponse(summary));
+    return true;
   } else if (message.type === 'CLEAR_LOGS') {
     clearLogs().then(() => sendResponse({ success: true }));
     return true;
+  } else if (message.type === 'CLEAR_DOMAIN_LOGS') {
+    clearDomainLogs(message.domain).then(result => sendResponse(result));
+    return true;
+  } else if (message.type === 'IMPORT_DATA') {
+    importData(message).then(result => sendResponse(result));
+    return true;
   } else if (message.type === 'GET_SETTINGS') {
-    getSettings().then(settings => sendResponse(settings));
+    // Priorities come back with the defaults filled in, so pages need no copy of them
+    getSettings().then(settings => sendResponse({
+      ...settings,
+      notificationPriorities: getNotificationPriorities(settings)
+    }));
     return true;
   } else if (message.type === 'UPDATE_SETTINGS') {
-    updateSettings(message.settings).then(() => sendResponse({ success: true }));
+    updateSettings(message.settings).then(result => sendResponse(result));
+    return true;
+  } else if (message.type === 'GET_MANAGED_STATE') {
+    getManagedState().then(state => sendResponse(state));
+    return true;
+  } else if (message.type === 'GET_ENCRYPTION_STATUS') {
+    getEncryptionStatus().then(status => sendResponse(status));
+    return true;
+  } else if (message.type === 'ENABLE_ENCRYPTION') {
+    enableEncryption(message.passphrase).then(result => sendResponse(result));
+    return true;
+  } else if (message.type === 'UNLOCK_HISTORY') {
+    unlockHistory(message.secret).then(result => sendResponse(result));
+    return true;
+  } else if (message.type === 'LOCK_HISTORY') {
+    lockHistory().then(() => sendResponse({ success: true }));
+    return true;
+  } else if (message.type === 'CHANGE_PASSPHRASE') {
+    changePassphrase(message.secret, message.passphrase).then(result => sendResponse(result));
+    return true;
+  } else if (message.type === 'DISABLE_ENCRYPTION') {
+    disableEncryption(message.secret, message.discardHistory).then(result => sendResponse(result));
+    return true;
+  } else if (message.type === 'APPLY_REDACTION') {
+    applyRedactionToHistory().then(result => sendResponse(result));
     return true;
   } else if (message.type === 'RESET_BADGE') {
     resetBadge();
     sendResponse({ success: true });
+  } else if (message.type === 'GET_FORWARDER_STATUS') {
+    getForwarderStatus().then(status => sendResponse(status));
+    return true;
+  } else if (message.type === 'UPDATE_FORWARDER') {
+    updateForwarderConfig(message.config).then(result => sendResponse(result));
+    return true;
+  } else if (message.type === 'FLUSH_FORWARDER') {
+    flushForwardQueue(true).then(() => sendResponse({ success: true }));
+    return true;
+  } else if (message.type === 'GET_DIGESTS') {
+    Promise.all([getDigests(), isHistoryLocked()])
+      .then(([digests, locked]) => sendResponse({ digests, locked }));
+    return true;
+  } else if (message.type === 'GENERATE_DIGEST') {
+    generateDigest(message.frequency).then(digest => sendResponse({ digest }));
+    return true;
+  } else if (message.type === 'GET_TAB_LIVE_STATE') {
+    getLiveTypes(message.tabId).then(types => sendResponse({
+      types: LIVE_INDICATORS.map(indicator => indicator.permissionType).filter(type => types.has(type))
+    }));
+    return true;
+  } else if (message.type === 'GET_MEDIA_SESSIONS') {
+    getMediaSessions().then(sessions => sendResponse({ sessions }));
+    return true;
+  } else if (message.type === 'GET_RISK_SCORES') {
+    getRiskScores().then(scores => sendResponse({ scores }));
+    return true;
+  } else if (message.type === 'GET_DOMAIN_RISK') {
+    getDomainRisk(message.domain).then(risk => sendResponse({ risk }));
+    return true;
+  } else if (message.type === 'GET_POLICY') {
+    resolvePolicy(message.domain).then(decisions => sendResponse({ decisions }));
+    return true;
+  } else if (message.type === 'GET_POLICY_RULES') {
+    Promise.all([getPolicyRules(), getManagedPolicy()]).then(([rules, policy]) =>
+      sendResponse({ rules, managedRules: getManagedPolicyRules(policy) }));
+    return true;
+  } else if (message.type === 'ADD_POLICY_RULE') {
+    addPolicyRule(message.rule).then(rule => sendResponse({ success: !!rule, rule }));
+    return true;
+  } else if (message.type === 'GET_NOTIFICATION_RULES') {
+    Promise.all([getNotificationRules(), getManagedPolicy()]).then(([rules, policy]) =>
+      sendResponse({ rules, managedRules: getManagedNotificationRules(policy) }));
+    return true;
+  } else if (message.type === 'ADD_NOTIFICATION_RULE') {
+    addNotificationRule(message.rule).then(rule => sendResponse({ success: !!rule, rule }));
+    return true;
+  } else if (message.type === 'DELETE_NOTIFICATION_RULE') {
+    deleteNotificationRule(message.id).then(() => sendResponse({ success: true }));
+    return true;
+  } else if (message.type === 'DELETE_POLICY_RULE') {
+    deletePolicyRule(message.id).then(() => sendResponse({ success: true }));
+    return true;
+  }
+});
+
+// Permission types a policy rule can target ('*' matches all of them)
+const POLICY_PERMISSION_TYPES = [
+  'camera',
+  'microphone',
+  'screen-capture',
+  'location',
+  'clipboard-read',
+  'clipboard-write',
+  'notifications',
+  'usb',
+  'hid',
+  'serial',
+  'bluetooth',
+  'midi'
+];
+
+const POLICY_DECISIONS = ['allow', 'block', 'ask'];
+
+/**
+ * Handle permission usage event
+ */
+async function handlePermissionUsage(data, sender) {
+  try {
+    // Create comprehensive log entry
+    const logEntry = {
+      id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      timestamp: data.timestamp,
+      dateFormatted: formatDate(data.timestamp),
+      domain: data.domain,
+      url: data.url,
+      permissionType: data.permissionType,
+      action: data.action,
+      metadata: data.metadata || {},
+      pageTitle: data.pageTitle || '',
+      isVisible: data.isVisible !== undefined ? data.isVisible : true,
+      ...getFrameContext(data, sender)
+    };
+    logEntry.backgroundAccess = isBackgroundAccess(logEntry);
+
+    const settings = await getSettings();
+
+    // Apply the stored URL / title privacy level before anything keeps a copy
+    Object.assign(logEntry, await redactPageFields(logEntry, getRedactionSettings(settings)));
+
+    // Save to storage
+    await saveLog(logEntry);
+
+    // Pair camera/microphone/screen 'active' and 'stopped' events into sessions
+    if (logEntry.metadata.sessionId) {
+      await trackMediaSession(logEntry, logEntry.tabId);
+    }
+
+    // Increment badge counter
+    newLogsCount++;
+    updateBadge();
+
+    // Queue for the local collector if forwarding is enabled
+    await forwardLog(logEntry, settings);
+
+    // Show notification if enabled (refused or failed requests are logged quietly)
+    const isFailure = logEntry.action === 'denied' || logEntry.action === 'failed';
+    if (settings.notificationsEnabled !== false && !isFailure && await shouldNotify(logEntry, settings)) {
+      showNotification(logEntry, settings);
+    }
+
+    console.log('[Permission Analyzer] Logged:', logEntry);
+  } catch (error) {
+    console.error('[Permission Analyzer] Error handling permission usage:', error);
+  }
+}
+
+/**
+ * Work out which top-level site and which frame an event came from
+ * The sender (filled in by Chrome) is preferred over what the frame reports about itself
+ */
+function getFrameContext(data, sender) {
+  const tab = sender && sender.tab;
+  const frameId = sender && typeof sender.frameId === 'number' ? sender.frameId : null;
+
+  let topOrigin = data.topOrigin || '';
+  if (tab && tab.url) {
+    try {
+      topOrigin = new URL(tab.url).origin;
+    } catch (error) {
+      // Keep the origin reported by the content script
+    }
+  }
+
+  const frameOrigin = (sender && sender.origin) || data.frameOrigin || '';
+  const topDomain = getHostname(topOrigin) || data.domain;
+
+  return {
+    topOrigin,
+    topDomain,
+    frameOrigin,
+    frameDepth: data.frameDepth || 0,
+    tabId: tab ? tab.id : null,
+    frameId,
+    isThirdPartyFrame: (data.frameDepth || 0) > 0 && getSiteKey(data.domain) !== getSiteKey(topDomain)
+  };
+}
+
+/**
+ * Hostname of an origin ('' if it cannot be parsed)
+ */
+function getHostname(origin) {
+  try {
+    return new URL(origin).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+// Second-level labels used under country-code TLDs (example.co.uk, example.com.au)
+const SECOND_LEVEL_LABELS = ['co', 'com', 'org', 'net', 'gov', 'ac', 'edu'];
+
+/**
+ * Approximate registrable domain ("site") used to tell first- from third-party frames
+ * mail.google.com -> google.com, news.bbc.co.uk -> bbc.co.uk
+ * IP addresses are their own site: 192.168.1.10 and [::1] are returned unchanged
+ */
+function getSiteKey(hostname) {
+  const host = (hostname || '').toLowerCase();
+  if (host.includes(':') || /^\d+(\.\d+){3}$/.test(host)) {
+    return host;
+  }
+  const labels = host.split('.').filter(Boolean);
+  if (labels.length <= 2) {
+    return labels.join('.');
+  }
+
+  const tld = labels[labels.length - 1];
+  const secondLevel = labels[labels.length - 2];
+  const keep = tld.length === 2 && SECOND_LEVEL_LABELS.includes(secondLevel) ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+/**
+ * Update extension badge with new logs count
+ */
+function updateBadge() {
+  if (newLogsCount > 0) {
+    const badgeText = newLogsCount > 99 ? '99+' : newLogsCount.toString();
+    chrome.action.setBadgeText({ text: badgeText });
+    chrome.action.setBadgeBackgroundColor({ color: GLOBAL_BADGE_COLOR });
+  } else {
+    chrome.action.setBadgeText({ text: '' });
+  }
+}
+
+/**
+ * Reset badge counter (called when user opens popup)
+ */
+function resetBadge() {
+  newLogsCount = 0;
+  chrome.action.setBadgeText({ text: '' });
+}
+
+// IndexedDB log store
+const LOG_DB_NAME = 'permission-analyzer';
+const LOG_DB_VERSION = 3;
+const LOG_STORE = 'logs';
+
+let logDatabasePromise = null;
+
+// Serializes writes so concurrent events never overwrite each other
+let logWriteQueue = Promise.resolve();
+
+/**
+ * Open (and on first use create) the log database
+ * Existing chrome.storage.local logs are migrated before the database is handed out
+ */
+function openLogDatabase() {
+  if (!logDatabasePromise) {
+    logDatabasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(LOG_DB_NAME, LOG_DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        // Version 1: log store with timestamp / domain / permissionType indexes
+        if (event.oldVersion < 1) {
+          const store = db.createObjectStore(LOG_STORE, { keyPath: 'id' });
+          store.createIndex('timestamp', 'timestamp');
+          store.createIndex('domain', 'domain');
+          store.createIndex('permissionType', 'permissionType');
+        }
+        // Version 2: top-level site index
+        if (event.oldVersion < 2) {
+          request.transaction.objectStore(LOG_STORE).createIndex('topDomain', 'topDomain');
+        }
+        // Version 3: older plaintext logs get a topDomain, so the index finds them too
+        if (event.oldVersion >= 1 && event.oldVersion < 3) {
+          request.transaction.objectStore(LOG_STORE).openCursor().onsuccess = (cursorEvent) => {
+            const cursor = cursorEvent.target.result;
+            if (!cursor) {
+              return;
+            }
+            if (!cursor.value.sealed && !cursor.value.topDomain) {
+              cursor.update(withTopDomain(cursor.value));
+            }
+            cursor.continue();
+          };
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).then(async (db) => {
+      await migrateStorageLogs(db);
+      return db;
+    }).catch(error => {
+      logDatabasePromise = null; // Allow a retry on the next call
+      throw error;
+    });
+  }
+  return logDatabasePromise;
+}
+
+/**
+ * Logs from before the top-level site was recorded count their own domain as the site
+ */
+function withTopDomain(log) {
+  return log.topDomain ? log : { ...log, topDomain: log.domain };
+}
+
+/**
+ * Wrap an IndexedDB transaction in a promise that settles when it completes
+ */
+function runLogTransaction(db, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(LOG_STORE, mode);
+    let result;
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+    result = operation(transaction.objectStore(LOG_STORE));
+  });
+}
+
+/**
+ * One-time move of the legacy chrome.storage.local `logs` array into IndexedDB
+ */
+async function migrateStorageLogs(db) {
+  const result = await chrome.storage.local.get(['logs']);
+  if (!Array.isArray(result.logs)) {
+    return;
+  }
+
+  if (result.logs.length > 0) {
+    await runLogTransaction(db, 'readwrite', store => {
+      result.logs.forEach(log => store.put(withTopDomain(log)));
+    });
+    console.log(`[Permission Analyzer] Migrated ${result.logs.length} logs to IndexedDB`);
+  }
+
+  await chrome.storage.local.remove('logs');
+}
+
+/**
+ * Run a write after all earlier writes have finished
+ * A failed write rejects its own promise without stalling the queue
+ */
+function enqueueLogWrite(operation) {
+  const run = logWriteQueue.then(async () => {
+    const db = await openLogDatabase();
+    await runLogTransaction(db, 'readwrite', operation);
+  });
+  logWriteQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Save log entry to IndexedDB
+ */
+async function saveLog(logEntry) {
+  try {
+    const records = await prepareLogRecords([logEntry]);
+    if (!records) {
+      // History is locked - keep the event sealed until the next unlock
+      await queueLockedLog(logEntry);
+      return;
+    }
+    await enqueueLogWrite(store => {
+      store.put(records[0]);
+    });
+  } catch (error) {
+    console.error('[Permission Analyzer] Error saving log:', error);
+  }
+}
+
+/**
+ * Check a log against query filters that are not served by an index
+ */
+function matchesLogQuery(log, query) {
+  if (query.permissionType && log.permissionType !== query.permissionType) return false;
+  if (query.domain && log.domain !== query.domain) return false;
+  if (query.topDomain && (log.topDomain || log.domain) !== query.topDomain) return false;
+  if (query.domainSearch && !matchesDomainSearch(log, query.domainSearch, query.domainField)) return false;
+  if (query.thirdPartyOnly && !log.isThirdPartyFrame) return false;
+  if (query.hiddenOnly && log.isVisible !== false) return false;
+  if (query.action && log.action !== query.action) return false;
+  if (query.since && log.timestamp < query.since) return false;
+  if (query.until && log.timestamp > query.until) return false;
+  return true;
+}
+
+/**
+ * Substring match on the frame domain, the top-level site, or either ('any')
+ * Logs from before frame attribution fall back to their domain as top-level site
+ */
+function matchesDomainSearch(log, search, domainField) {
+  const needle = search.toLowerCase();
+  const frameMatch = log.domain.toLowerCase().includes(needle);
+  const topMatch = (log.topDomain || log.domain).toLowerCase().includes(needle);
+
+  if (domainField === 'domain') return frameMatch;
+  if (domainField === 'topDomain') return topMatch;
+  return frameMatch || topMatch;
+}
+
+/**
+ * Query logs (most recent first)
+ * query: { permissionType, domain, topDomain, domainSearch, domainField, thirdPartyOnly,
+ *          hiddenOnly, action, since, until, offset, limit }
+ * Returns { logs, total } where total counts every match before paging
+ * (plus locked: true, with no logs, while an encrypted history is locked)
+ */
+async function queryLogs(query = {}) {
+  try {
+    await logWriteQueue;
+    const db = await openLogDatabase();
+
+    if (await getEncryptionConfig()) {
+      const key = await getDataKey();
+      if (!key) {
+        return { logs: [], total: 0, locked: true };
+      }
+      // Sealed records carry no indexed fields, so decrypt everything and filter
+      const logs = await openLogRecords(await readLogRecords(db), key);
+      return pageLogMatches(logs.filter(log => matchesLogQuery(log, query)), query);
+    }
+
+    // Equality filters have their own index, but it is not in timestamp order
+    if (query.domain || query.topDomain || query.permissionType) {
+      const matches = await runLogTransaction(db, 'readonly', store => {
+        let source;
+        let range;
+        if (query.domain) {
+          source = store.index('domain');
+          range = IDBKeyRange.only(query.domain);
+        } else if (query.topDomain) {
+          source = store.index('topDomain');
+          range = IDBKeyRange.only(query.topDomain);
+        } else {
+          source = store.index('permissionType');
+          range = IDBKeyRange.only(query.permissionType);
+        }
+
+        const found = [];
+        source.openCursor(range).onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor) {
+            if (matchesLogQuery(cursor.value, query)) {
+              found.push(cursor.value);
+            }
+            cursor.continue();
+          }
+        };
+        return found;
+      });
+      return pageLogMatches(matches, query);
+    }
+
+    return await pageTimestampIndex(db, query);
+  } catch (error) {
+    console.error('[Permission Analyzer] Error querying logs:', error);
+    return { logs: [], total: 0 };
+  }
+}
+
+/**
+ * Walk the timestamp index newest first, keeping only the requested page
+ * With no filters besides the time range the total comes from count() and
+ * the cursor stops once the page is full
+ */
+function pageTimestampIndex(db, query) {
+  const offset = query.offset || 0;
+  const end = query.limit ? offset + query.limit : Infinity;
+  const rangeOnly = !query.domainSearch && !query.thirdPartyOnly && !query.hiddenOnly && !query.action;
+  const range = query.since && query.until ? IDBKeyRange.bound(query.since, query.until)
+    : query.since ? IDBKeyRange.lowerBound(query.since)
+    : query.until ? IDBKeyRange.upperBound(query.until)
+    : null;
+
+  return runLogTransaction(db, 'readonly', store => {
+    const index = store.index('timestamp');
+    const result = { logs: [], total: 0 };
+    let seen = 0;
+
+    if (rangeOnly) {
+      index.count(range).onsuccess = (event) => {
+        result.total = event.target.result;
+      };
+    }
+
+    index.openCursor(range, 'prev').onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        return;
+      }
+      if (rangeOnly && seen === 0 && offset > 0) {
+        seen = offset;
+        cursor.advance(offset);
+        return;
+      }
+      if (matchesLogQuery(cursor.value, query)) {
+        if (seen >= offset && seen < end) {
+          result.logs.push(cursor.value);
+        }
+        seen++;
+        if (!rangeOnly) {
+          result.total = seen;
+        }
+      }
+      if (!rangeOnly || seen < end) {
+        cursor.continue();
+      }
+    };
+    return result;
+  });
+}
+
+/**
+ * Sort query matches most recent first and apply offset / limit
+ */
+function pageLogMatches(matches, query) {
+  const offset = query.offset || 0;
+
+  // ISO timestamps sort lexicographically
+  matches.sort((a, b) => (a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : 0));
+
+  return {
+    logs: query.limit ? matches.slice(offset, offset + query.limit) : matches.slice(offset),
+    total: matches.length
+  };
+}
+
+/**
+ * Every stored record, sealed or not, in key order
+ */
+function readLogRecords(db) {
+  return runLogTransaction(db, 'readonly', store => {
+    const records = [];
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        records.push(cursor.value);
+        cursor.continue();
+      }
+    };
+    return records;
+  });
+}
+
+/**
+ * Overwrite stored records, skipping any deleted since they were read
+ */
+function replaceLogRecords(records) {
+  return enqueueLogWrite(store => {
+    records.forEach(record => {
+      store.getKey(record.id).onsuccess = (event) => {
+        if (event.target.result !== undefined) {
+          store.put(record);
+        }
+      };
+    });
+  });
+}
+
+/**
+ * Get all logs (most recent first)
+ */
+async function getLogs() {
+  const result = await queryLogs();
+  return result.logs;
+}
+
+/**
+ * Call visit for every log matching a query, without collecting them
+ * Returns false while an encrypted history is locked
+ */
+async function forEachLog(query, visit) {
+  await logWriteQueue;
+  const db = await openLogDatabase();
+
+  if (await getEncryptionConfig()) {
+    const key = await getDataKey();
+    if (!key) {
+      return false;
+    }
+    const logs = await openLogRecords(await readLogRecords(db), key);
+    logs.filter(log => matchesLogQuery(log, query)).forEach(visit);
+    return true;
+  }
+
+  await runLogTransaction(db, 'readonly', store => {
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        if (matchesLogQuery(cursor.value, query)) {
+          visit(cursor.value);
+        }
+        cursor.continue();
+      }
+    };
+  });
+  return true;
+}
+
+/**
+ * Count logs per permission type and per action
+ */
+async function getLogStats() {
+  const stats = { total: 0, byType: {}, byAction: {} };
+  try {
+    const unlocked = await forEachLog({}, log => {
+      stats.total++;
+      stats.byType[log.permissionType] = (stats.byType[log.permissionType] || 0) + 1;
+      stats.byAction[log.action] = (stats.byAction[log.action] || 0) + 1;
+    });
+    return unlocked ? stats : { ...stats, locked: true };
+  } catch (error) {
+    console.error('[Permission Analyzer] Error getting log stats:', error);
+    return { total: 0, byType: {}, byAction: {} };
+  }
+}
+
+// Actions that mean a permission request went through
+const GRANTED_ACTIONS = ['active', 'accessed', 'shown', 'requested', 'enumerated', 'detected', 'push-subscribed'];
+
+/**
+ * Chart and request data for the dashboard, so it never needs the full history
+ * query: the filters accepted by queryLogs (paging ignored)
+ * options: { hourlySince, topDomains }
+ * Returns {
+ *   total,
+ *   byHour: { [local hour start, ms]: { [permissionType]: count } } from hourlySince on,
+ *   heatmap: 7 days × 24 hours (local time),
+ *   topDomains: { [permissionType]: [[domain, count], ...] } most active first,
+ *   requests: { domain | topDomain: { [site]: { attempts, granted, denied, failed, blocked } } }
+ * }
+ */
+async function getLogSummary(query = {}, options = {}) {
+  const summary = {
+    total: 0,
+    byHour: {},
+    heatmap: Array.from({ length: 7 }, () => new Array(24).fill(0)),
+    topDomains: {},
+    requests: { domain: {}, topDomain: {} }
+  };
+  const domainCounts = {};
+
+  const countRequest = (group, site, log, isGranted, promptResult) => {
+    const stats = group[site] || (group[site] = { attempts: 0, granted: 0, denied: 0, failed: 0, blocked: 0 });
+    stats.attempts++;
+    if (isGranted) {
+      stats.granted++;
+    } else if (promptResult !== null) {
+      stats.denied++;
+    } else {
+      stats[log.action]++;
+    }
+  };
+
+  try {
+    const unlocked = await forEachLog(query, log => {
+      summary.total++;
+
+      const date = new Date(log.timestamp);
+      summary.heatmap[date.getDay()][date.getHours()]++;
+      if (!options.hourlySince || log.timestamp >= options.hourlySince) {
+        date.setMinutes(0, 0, 0);
+        const hour = summary.byHour[date.getTime()] || (summary.byHour[date.getTime()] = {});
+        hour[log.permissionType] = (hour[log.permissionType] || 0) + 1;
+      }
+
+      const domains = domainCounts[log.permissionType] || (domainCounts[log.permissionType] = {});
+      domains[log.domain] = (domains[log.domain] || 0) + 1;
+
+      // Notification prompts count by their result; 'stopped' and similar are not requests
+      const promptResult = log.action === 'prompted' ? (log.metadata || {}).result : null;
+      const isGranted = GRANTED_ACTIONS.includes(log.action) || promptResult === 'granted';
+      const isRefused = ['denied', 'failed', 'blocked'].includes(log.action) ||
+                        (promptResult !== null && promptResult !== 'granted');
+      if (isGranted || isRefused) {
+        countRequest(summary.requests.domain, log.domain, log, isGranted, promptResult);
+        countRequest(summary.requests.topDomain, log.topDomain || log.domain, log, isGranted, promptResult);
+      }
+    });
+
+    Object.entries(domainCounts).forEach(([permissionType, domains]) => {
+      summary.topDomains[permissionType] = Object.entries(domains)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, options.topDomains || 5);
+    });
+
+    return unlocked ? summary : { ...summary, locked: true };
+  } catch (error) {
+    console.error('[Permission Analyzer] Error summarizing logs:', error);
+    return summary;
+  }
+}
+
+/**
+ * Clear all logs
+ */
+async function clearLogs() {
+  try {
+    await enqueueLogWrite(store => {
+      store.clear();
+    });
+    await updateMediaSessions(sessions => {
+      sessions.length = 0;
+    });
+    await updateLockedQueue(queue => {
+      if (queue.length === 0) {
+        return false;
+      }
+      queue.length = 0;
+    });
+    newLogsCount = 0;
+    updateBadge();
+    console.log('[Permission Analyzer] Logs cleared');
+  } catch (error) {
+    console.error('[Permission Analyzer] Error clearing logs:', error);
+  }
+}
+
+/**
+ * Delete every log and media session recorded for one domain
+ * Returns { success, removed } (nothing is deleted while the history is locked)
+ */
+async function clearDomainLogs(domain) {
+  try {
+    // Checked before sessions are touched, so a locked history is never half cleared
+    if (await isHistoryLocked()) {
+      return { success: false, error: 'Unlock the encrypted history first' };
+    }
+    let removed = 0;
+    if (await getEncryptionConfig()) {
+      // Sealed records are not in the domain index; delete what decrypts to this domain
+      const { logs } = await queryLogs({ domain });
+      await enqueueLogWrite(store => {
+        logs.forEach(log => store.delete(log.id));
+      });
+      removed = logs.length;
+    } else {
+      await enqueueLogWrite(store => {
+        store.index('domain').openCursor(IDBKeyRange.only(domain)).onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor) {
+            cursor.delete();
+            removed++;
+            cursor.continue();
+          }
+        };
+      });
+    }
+    await updateMediaSessions(sessions => {
+      const kept = sessions.filter(session => session.domain !== domain);
+      if (kept.length === sessions.length) {
+        return false;
+      }
+      sessions.splice(0, sessions.length, ...kept);
+    });
+    console.log(`[Permission Analyzer] Cleared ${removed} logs for ${domain}`);
+    return { success: true, removed };
+  } catch (error) {
+    console.error('[Permission Analyzer] Error clearing domain logs:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * HISTORY RETENTION
+ * settings.retentionDays deletes logs and finished media sessions older than
+ * that many days (0 or unset keeps everything). Pruning runs on a daily alarm
+ * and whenever the setting changes. An encrypted history can only be pruned
+ * while it is unlocked, so unlocking prunes too.
+ */
+const RETENTION_ALARM = 'retention-prune';
+const RETENTION_CHECK_MINUTES = 24 * 60;
+
+/**
+ * Delete everything older than the retention period
+ * Returns the number of logs removed
+ */
+async function pruneExpiredLogs() {
+  try {
+    const days = Number((await getSettings()).retentionDays) || 0;
+    if (days <= 0) {
+      return 0;
+    }
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    let removed = 0;
+    if (await getEncryptionConfig()) {
+      // Sealed records are not in the timestamp index (nothing is returned while locked)
+      const { logs } = await queryLogs({ until: cutoff });
+      await enqueueLogWrite(store => {
+        logs.forEach(log => store.delete(log.id));
+      });
+      removed = logs.length;
+    } else {
+      await enqueueLogWrite(store => {
+        store.index('timestamp').openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor) {
+            cursor.delete();
+            removed++;
+            cursor.continue();
+          }
+        };
+      });
+    }
+
+    await updateMediaSessions(sessions => {
+      const kept = sessions.filter(session => !session.endReason || session.startTime >= cutoff);
+      if (kept.length === sessions.length) {
+        return false;
+      }
+      sessions.splice(0, sessions.length, ...kept);
+    });
+
+    if (removed > 0) {
+      console.log(`[Permission Analyzer] Pruned ${removed} logs older than ${days} days`);
+    }
+    return removed;
+  } catch (error) {
+    console.error('[Permission Analyzer] Error pruning logs:', error);
+    return 0;
+  }
+}
+
+/**
+ * Create the daily retention alarm unless it already exists
+ */
+async function scheduleRetention() {
+  try {
+    if (!(await chrome.alarms.get(RETENTION_ALARM))) {
+      await chrome.alarms.create(RETENTION_ALARM, { delayInMinutes: 1, periodInMinutes: RETENTION_CHECK_MINUTES });
+    }
+  } catch (error) {
+    console.error('[Permission Analyzer] Error scheduling retention:', error);
+  }
+}
+
+scheduleRetention();
+
+/**
+ * ENCRYPTION AT REST (opt-in)
+ * Logs are sealed with a random AES-GCM data key. That key is stored twice,
+ * encrypted under a PBKDF2 key from the passphrase and under one from a
+ * recovery key shown once when encryption is turned on, so a passphrase
+ * change only re-wraps the data key. While unlocked the raw data key is kept
+ * in chrome.storage.session (memory only, gone when the browser closes).
+ * While locked, new events are sealed for an RSA-OAEP public key into
+ * `lockedQueue`; the private key is itself sealed with the data key, so the
+ * queue is moved into the history on the next unlock. Sealed records keep
+ * only their ID in the clear.
+ * Media sessions, digests and the forwarding queue in chrome.storage.local
+ * are sealed item by item the same way (data key while unlocked, public key
+ * while locked). Each keeps the few fields listed in SEALED_LIST_CLEAR_FIELDS
+ * readable so it can still be maintained while locked - sessions can be
+ * paired and closed, and the toolbar indicator keeps working.
+ */
+const ENCRYPTION_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+const MIN_PASSPHRASE_LENGTH = 8;
+const MAX_LOCKED_QUEUE = 5000;
+const RECOVERY_KEY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // 32 symbols without look-alikes
+const RSA_OAEP = { name: 'RSA-OAEP', hash: 'SHA-256' };
+
+// chrome.storage.local lists sealed while encryption is on, with the fields left readable
+const SEALED_LIST_CLEAR_FIELDS = {
+  mediaSessions: ['id', 'tabId', 'permissionType', 'startTime', 'endTime', 'duration', 'endReason', 'hiddenDuringSession'],
+  forwardQueue: ['id'],
+  digests: ['id']
+};
+
+// Serializes read-modify-write cycles on the locked-capture queue
+let lockedQueueLock = Promise.resolve();
+
+// Stored form of each item opened with the data key, so unchanged items are not sealed again
+const openedListItems = new WeakMap();
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Key material and wrapped keys, or null while encryption is off
+ */
+async function getEncryptionConfig() {
+  const result = await chrome.storage.local.get(['encryption']);
+  return result.encryption || null;
+}
+
+/**
+ * Encrypt bytes with AES-GCM under a fresh IV
+ */
+async function aesEncrypt(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+  return { iv: bytesToBase64(iv), data: bytesToBase64(data) };
+}
+
+/**
+ * Decrypt an { iv, data } pair; rejects if the key is wrong or the data was altered
+ */
+async function aesDecrypt(key, sealed) {
+  const data = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(sealed.iv) }, key, base64ToBytes(sealed.data)
+  );
+  return new Uint8Array(data);
+}
+
+/**
+ * PBKDF2-SHA-256 key for wrapping the data key
+ */
+async function deriveWrappingKey(secret, salt) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: base64ToBytes(salt), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+function importDataKey(rawKey) {
+  return crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Encrypt the raw data key under a passphrase or recovery key
+ */
+async function wrapDataKey(rawKey, secret) {
+  const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+  return { salt, ...(await aesEncrypt(await deriveWrappingKey(secret, salt), rawKey)) };
+}
+
+/**
+ * 160-bit recovery key shown as groups of four, e.g. ABCD-EFGH-...
+ */
+function createRecoveryKey() {
+  const symbols = Array.from(crypto.getRandomValues(new Uint8Array(32)),
+    byte => RECOVERY_KEY_ALPHABET[byte % 32]);
+  return symbols.join('').match(/.{4}/g).join('-');
+}
+
+function normalizeRecoveryKey(recoveryKey) {
+  return recoveryKey.replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * Recover the raw data key from the passphrase or the recovery key
+ * Returns { rawKey, usedRecoveryKey } or null if neither matches
+ */
+async function unwrapDataKey(config, secret) {
+  const attempts = [
+    { wrapped: config.passphraseWrap, secret, usedRecoveryKey: false },
+    { wrapped: config.recoveryWrap, secret: normalizeRecoveryKey(secret), usedRecoveryKey: true }
+  ];
+  for (const attempt of attempts) {
+    try {
+      const rawKey = await aesDecrypt(await deriveWrappingKey(attempt.secret, attempt.wrapped.salt), attempt.wrapped);
+      return { rawKey, usedRecoveryKey: attempt.usedRecoveryKey };
+    } catch (error) {
+      // AES-GCM authentication failed - not this secret
+    }
+  }
+  return null;
+}
+
+/**
+ * The data key while the history is unlocked, otherwise null
+ */
+async function getDataKey() {
+  const result = await chrome.storage.session.get(['historyKey']);
+  return result.historyKey ? importDataKey(base64ToBytes(result.historyKey)) : null;
+}
+
+/**
+ * { enabled, locked, queued } for the dashboard and popup
+ */
+async function getEncryptionStatus() {
+  try {
+    if (!(await getEncryptionConfig())) {
+      return { enabled: false, locked: false, queued: 0 };
+    }
+    const [session, local] = await Promise.all([
+      chrome.storage.session.get(['historyKey']),
+      chrome.storage.local.get(['lockedQueue'])
+    ]);
+    return { enabled: true, locked: !session.historyKey, queued: (local.lockedQueue || []).length };
+  } catch (error) {
+    console.error('[Permission Analyzer] Error getting encryption status:', error);
+    return { enabled: false, locked: false, queued: 0 };
+  }
+}
+
+async function isHistoryLocked() {
+  const status = await getEncryptionStatus();
+  return status.enabled && status.locked;
+}
+
+/**
+ * JSON-encode a value for sealing
+ */
+function encodeJson(value) {
+  return new TextEncoder().encode(JSON.stringify(value));
+}
+
+/**
+ * Decrypt and parse a value sealed with encodeJson
+ */
+async function openJson(key, sealed) {
+  return JSON.parse(new TextDecoder().decode(await aesDecrypt(key, sealed)));
+}
+
+async function sealLog(log, key) {
+  return { id: log.id, sealed: await aesEncrypt(key, encodeJson(log)) };
+}
+
+/**
+ * Decrypt stored records; plaintext records pass through
+ */
+function openLogRecords(records, key) {
+  return Promise.all(records.map(async record => {
+    if (!record.sealed) {
+      return record;
+    }
+    return openJson(key, record.sealed);
+  }));
+}
+
+/**
+ * What to store for a batch of logs: the logs themselves while encryption is
+ * off, sealed copies while unlocked, or null while locked
+ */
+async function prepareLogRecords(logs) {
+  if (!(await getEncryptionConfig())) {
+    return logs;
+  }
+  const key = await getDataKey();
+  return key ? Promise.all(logs.map(log => sealLog(log, key))) : null;
+}
+
+/**
+ * Seal any plaintext records left in the store (on enable, and on unlock
+ * to catch events saved while encryption was being turned on)
+ */
+async function sealPlaintextLogs(key) {
+  await logWriteQueue;
+  const plaintext = (await readLogRecords(await openLogDatabase())).filter(record => !record.sealed);
+  await replaceLogRecords(await Promise.all(plaintext.map(log => sealLog(log, key))));
+  return plaintext.length;
+}
+
+/**
+ * Apply a change to the locked-capture queue
+ */
+function updateLockedQueue(mutator) {
+  lockedQueueLock = lockedQueueLock.then(async () => {
+    const result = await chrome.storage.local.get(['lockedQueue']);
+    const queue = result.lockedQueue || [];
+    if (mutator(queue) !== false) {
+      await chrome.storage.local.set({ lockedQueue: queue });
+    }
+  }).catch(error => {
+    console.error('[Permission Analyzer] Error updating locked queue:', error);
+  });
+  return lockedQueueLock;
+}
+
+/**
+ * Seal a value for the public key: a one-off AES key encrypts the value and
+ * the public key encrypts that AES key
+ */
+async function sealForPublicKey(config, value) {
+  const publicKey = await crypto.subtle.importKey('spki', base64ToBytes(config.publicKey), RSA_OAEP, false, ['encrypt']);
+  const entryKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+  const sealed = await aesEncrypt(entryKey, encodeJson(value));
+  const wrappedKey = await crypto.subtle.encrypt(RSA_OAEP, publicKey, await crypto.subtle.exportKey('raw', entryKey));
+  return { wrappedKey: bytesToBase64(wrappedKey), ...sealed };
+}
+
+/**
+ * The private key, which is itself sealed with the data key
+ */
+async function importPrivateKey(config, key) {
+  return crypto.subtle.importKey('pkcs8', await aesDecrypt(key, config.privateKey), RSA_OAEP, false, ['decrypt']);
+}
+
+/**
+ * Open a value sealed by sealForPublicKey
+ */
+async function openWithPrivateKey(privateKey, item) {
+  const rawEntryKey = await crypto.subtle.decrypt(RSA_OAEP, privateKey, base64ToBytes(item.wrappedKey));
+  const entryKey = await crypto.subtle.importKey('raw', rawEntryKey, 'AES-GCM', false, ['decrypt']);
+  return JSON.parse(new TextDecoder().decode(await aesDecrypt(entryKey, item)));
+}
+
+/**
+ * Seal an event captured while locked
+ */
+async function queueLockedLog(logEntry) {
+  const sealed = await sealForPublicKey(await getEncryptionConfig(), logEntry);
+
+  await updateLockedQueue(queue => {
+    queue.push({ id: logEntry.id, ...sealed });
+    if (queue.length > MAX_LOCKED_QUEUE) {
+      console.warn('[Permission Analyzer] Locked queue full, dropping oldest events');
+      queue.splice(0, queue.length - MAX_LOCKED_QUEUE);
+    }
+  });
+}
+
+/**
+ * Move events captured while locked into the history
+ */
+async function flushLockedQueue(key) {
+  const [config, { lockedQueue = [] }] = await Promise.all([
+    getEncryptionConfig(),
+    chrome.storage.local.get(['lockedQueue'])
+  ]);
+  if (lockedQueue.length === 0) {
+    return 0;
+  }
+
+  const privateKey = await importPrivateKey(config, key);
+  const logs = [];
+  for (const item of lockedQueue) {
+    logs.push(await openWithPrivateKey(privateKey, item));
+  }
+
+  const records = await Promise.all(logs.map(log => sealLog(log, key)));
+  await enqueueLogWrite(store => {
+    records.forEach(record => store.put(record));
+  });
+  // Keep anything queued while this ran
+  const moved = new Set(lockedQueue.map(item => item.id));
+  await updateLockedQueue(queue => {
+    queue.splice(0, queue.length, ...queue.filter(item => !moved.has(item.id)));
+  });
+  return logs.length;
+}
+
+/**
+ * How list items are opened and sealed right now:
+ * mode 'plain' while encryption is off, 'key' while unlocked, 'public' while locked
+ */
+async function getSealingKeys() {
+  const config = await getEncryptionConfig();
+  if (!config) {
+    return { mode: 'plain', config: null, key: null };
+  }
+  const key = await getDataKey();
+  return { mode: key ? 'key' : 'public', config, key };
+}
+
+/**
+ * Copy the listed fields that an item has
+ */
+function pickFields(item, fields) {
+  const picked = {};
+  fields.forEach(field => {
+    if (field in item) {
+      picked[field] = item[field];
+    }
+  });
+  return picked;
+}
+
+/**
+ * Open a sealed list item if the keys allow it; the readable fields win, as
+ * they may have changed while locked. Items that cannot be opened are returned as they are
+ */
+async function openSealedItem(item, clearFields, keys) {
+  if (!keys.key || !(item.sealed || item.lockedSeal)) {
+    return item;
+  }
+  if (item.lockedSeal) {
+    keys.privateKey = keys.privateKey || await importPrivateKey(keys.config, keys.key);
+    return { ...await openWithPrivateKey(keys.privateKey, item.lockedSeal), ...pickFields(item, clearFields) };
+  }
+  const opened = { ...await openJson(keys.key, item.sealed), ...pickFields(item, clearFields) };
+  openedListItems.set(opened, { stored: item, json: JSON.stringify(opened) });
+  return opened;
+}
+
+/**
+ * Store form of a list item: as is while encryption is off, sealed with the
+ * data key while unlocked, and while locked sealed for the public key unless
+ * it is still sealed from before
+ */
+async function sealListItem(item, clearFields, keys) {
+  if (keys.mode === 'plain') {
+    return item;
+  }
+  const clear = pickFields(item, clearFields);
+  if (keys.mode === 'key') {
+    const opened = openedListItems.get(item);
+    if (opened && opened.json === JSON.stringify(item)) {
+      return opened.stored;
+    }
+    return { ...clear, sealed: await aesEncrypt(keys.key, encodeJson(item)) };
+  }
+  if (item.sealed) {
+    return { ...clear, sealed: item.sealed };
+  }
+  if (item.lockedSeal) {
+    return { ...clear, lockedSeal: item.lockedSeal };
+  }
+  return { ...clear, lockedSeal: await sealForPublicKey(keys.config, item) };
+}
+
+/**
+ * Read a sealed list, opening what the current keys allow
+ */
+async function readSealedList(name, keys) {
+  const sealingKeys = keys || await getSealingKeys();
+  const result = await chrome.storage.local.get([name]);
+  return Promise.all((result[name] || []).map(item =>
+    openSealedItem(item, SEALED_LIST_CLEAR_FIELDS[name], sealingKeys)
+  ));
+}
+
+/**
+ * Read-modify-write a sealed list; callers serialize calls per list
+ * The mutator edits the opened items in place; returning false skips the write
+ */
+async function updateSealedList(name, mutator, keys) {
+  const sealingKeys = keys || await getSealingKeys();
+  const items = await readSealedList(name, sealingKeys);
+  if (mutator(items) !== false) {
+    const stored = await Promise.all(items.map(item =>
+      sealListItem(item, SEALED_LIST_CLEAR_FIELDS[name], sealingKeys)
+    ));
+    await chrome.storage.local.set({ [name]: stored });
+  }
+  return items;
+}
+
+/**
+ * Items of a sealed list that could be opened (none of them while locked)
+ */
+function readableItems(items) {
+  return items.filter(item => !item.sealed && !item.lockedSeal);
+}
+
+/**
+ * Store every sealed list again: sealed with the data key on enable and
+ * unlock, or opened to plaintext with keys in 'plain' mode on disable
+ */
+function resealStoredLists(keys) {
+  const keep = () => {};
+  return Promise.all([
+    updateMediaSessions(keep, keys),
+    updateForwardQueue(keep, keys),
+    updateDigests(keep, keys)
+  ]);
+}
+
+function validatePassphrase(passphrase) {
+  return typeof passphrase === 'string' && passphrase.length >= MIN_PASSPHRASE_LENGTH
+    ? null
+    : `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`;
+}
+
+/**
+ * Turn encryption on and seal the existing history
+ * Returns the recovery key, which is not stored anywhere
+ */
+async function enableEncryption(passphrase) {
+  try {
+    if (await getEncryptionConfig()) {
+      return { success: false, error: 'Encryption is already on' };
+    }
+    const invalid = validatePassphrase(passphrase);
+    if (invalid) {
+      return { success: false, error: invalid };
+    }
+
+    const rawKey = crypto.getRandomValues(new Uint8Array(32));
+    const key = await importDataKey(rawKey);
+    const recoveryKey = createRecoveryKey();
+    const keyPair = await crypto.subtle.generateKey(
+      { ...RSA_OAEP, modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]) },
+      true,
+      ['encrypt', 'decrypt']
+    );
+
+    const config = {
+      version: ENCRYPTION_VERSION,
+      passphraseWrap: await wrapDataKey(rawKey, passphrase),
+      recoveryWrap: await wrapDataKey(rawKey, normalizeRecoveryKey(recoveryKey)),
+      publicKey: bytesToBase64(await crypto.subtle.exportKey('spki', keyPair.publicKey)),
+      privateKey: await aesEncrypt(key, await crypto.subtle.exportKey('pkcs8', keyPair.privateKey))
+    };
+
+    // Unlock first so events arriving from now on are sealed, not queued
+    await chrome.storage.session.set({ historyKey: bytesToBase64(rawKey) });
+    await chrome.storage.local.set({ encryption: config });
+    const sealed = await sealPlaintextLogs(key);
+    await resealStoredLists();
+
+    console.log(`[Permission Analyzer] Encryption enabled, sealed ${sealed} logs`);
+    return { success: true, recoveryKey, sealed };
+  } catch (error) {
+    console.error('[Permission Analyzer] Error enabling encryption:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Unlock with the passphrase or recovery key and take in events captured while locked
+ */
+async function unlockHistory(secret) {
+  try {
+    const config = await getEncryptionConfig();
+    if (!config) {
+      return { success: false, error: 'Encryption is off' };
+    }
+    const unwrapped = await unwrapDataKey(config, secret || '');
+    if (!unwrapped) {
+      return { success: false, error: 'Wrong passphrase or recovery key' };
+    }
+
+    await chrome.storage.session.set({ historyKey: bytesToBase64(unwrapped.rawKey) });
+    const key = await importDataKey(unwrapped.rawKey);
+    const moved = await flushLockedQueue(key);
+    await sealPlaintextLogs(key);
+    await resealStoredLists();
+    // Expired events could not be found while the history was locked
+    await pruneExpiredLogs();
+    // Forwarding waits while queued events cannot be read
+    flushForwardQueue();
+
+    return { success: true, moved, usedRecoveryKey: unwrapped.usedRecoveryKey };
+  } catch (error) {
+    console.error('[Permission Analyzer] Error unlocking history:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Forget the data key until the next unlock
+ */
+async function lockHistory() {
+  await chrome.storage.session.remove('historyKey');
+}
+
+/**
+ * Re-wrap the data key under a new passphrase
+ * secret is the current passphrase or the recovery key; a recovery key that
+ * was used is replaced by a new one, returned as recoveryKey
+ */
+async function changePassphrase(secret, passphrase) {
+  try {
+    const config = await getEncryptionConfig();
+    if (!config) {
+      return { success: false, error: 'Encryption is off' };
+    }
+    const invalid = validatePassphrase(passphrase);
+    if (invalid) {
+      return { success: false, error: invalid };
+    }
+    const unwrapped = await unwrapDataKey(config, secret || '');
+    if (!unwrapped) {
+      return { success: false, error: 'Wrong passphrase or recovery key' };
+    }
+
+    config.passphraseWrap = await wrapDataKey(unwrapped.rawKey, passphrase);
+    let recoveryKey = null;
+    if (unwrapped.usedRecoveryKey) {
+      recoveryKey = createRecoveryKey();
+      config.recoveryWrap = await wrapDataKey(unwrapped.rawKey, normalizeRecoveryKey(recoveryKey));
+    }
+    await chrome.storage.local.set({ encryption: config });
+
+    return { success: true, recoveryKey };
+  } catch (error) {
+    console.error('[Permission Analyzer] Error changing passphrase:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Turn encryption off, decrypting the history back to plaintext
+ * With discardHistory no secret is needed: the sealed history and the
+ * locked queue are deleted instead (the way out when both secrets are lost)
+ */
+async function disableEncryption(secret, discardHistory = false) {
+  try {
+    const config = await getEncryptionConfig();
+    if (!config) {
+      return { success: false, error: 'Encryption is off' };
+    }
+
+    if (discardHistory) {
+      await chrome.storage.local.remove(['encryption', 'lockedQueue']);
+      await lockHistory();
+      await clearLogs();
+      // Nothing sealed can be opened any more
+      const discard = items => {
+        items.length = 0;
+      };
+      await updateForwardQueue(discard);
+      await updateDigests(discard);
+      console.log('[Permission Analyzer] Encryption disabled, history discarded');
+      return { success: true, decrypted: 0 };
+    }
+
+    const unwrapped = await unwrapDataKey(config, secret || '');
+    if (!unwrapped) {
+      return { success: false, error: 'Wrong passphrase or recovery key' };
+    }
+    const key = await importDataKey(unwrapped.rawKey);
+    await chrome.storage.session.set({ historyKey: bytesToBase64(unwrapped.rawKey) });
+    await flushLockedQueue(key);
+
+    // New events are stored in plaintext from here on
+    await chrome.storage.local.remove(['encryption', 'lockedQueue']);
+    await logWriteQueue;
+    const sealed = (await readLogRecords(await openLogDatabase())).filter(record => record.sealed);
+    await replaceLogRecords((await openLogRecords(sealed, key)).map(withTopDomain));
+    await resealStoredLists({ mode: 'plain', config, key });
+    await lockHistory();
+
+    console.log(`[Permission Analyzer] Encryption disabled, decrypted ${sealed.length} logs`);
+    return { success: true, decrypted: sealed.length };
+  } catch (error) {
+    console.error('[Permission Analyzer] Error disabling encryption:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Permission types and actions the page scripts report; imported logs must use them
+const LOG_PERMISSION_TYPES = [...POLICY_PERMISSION_TYPES, 'fingerprinting', 'tamper'];
+const LOG_ACTIONS = [
+  'accessed', 'active', 'stopped', 'shown', 'prompted', 'push-subscribed',
+  'requested', 'enumerated', 'detected', 'blocked', 'denied', 'failed',
+  'overwrite', 'restored', 'forged-event'
+];
+const SESSION_PERMISSION_TYPES = ['camera', 'microphone', 'screen-capture'];
+const SESSION_END_REASONS = ['stopped', 'tab-closed', 'navigated', 'unknown'];
+
+// Hostnames and IPv6 literals (file: pages have none)
+const HOSTNAME_PATTERN = /^[a-z0-9.\-_:[\]]*$/i;
+
+/**
+ * An object straight from JSON (not an array, not null)
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Empty, or a page URL the content script could have recorded
+ * (about:blank, srcdoc, blob: and data: frames included)
+ */
+function isImportableUrl(url) {
+  if (url === undefined || url === '') {
+    return true;
+  }
+  if (typeof url !== 'string') {
+    return false;
+  }
+  try {
+    return ['http:', 'https:', 'file:', 'about:', 'blob:', 'data:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * A hostname or IP literal; optional hosts may also be missing
+ */
+function isImportableHost(host, optional) {
+  return (optional && host === undefined) || (typeof host === 'string' && HOSTNAME_PATTERN.test(host));
+}
+
+/**
+ * Check that an imported log has the fields every view relies on, with
+ * values the extension itself could have recorded
+ */
+function isValidLogEntry(log) {
+  return isPlainObject(log) &&
+    typeof log.id === 'string' && log.id !== '' &&
+    typeof log.timestamp === 'string' && !isNaN(Date.parse(log.timestamp)) &&
+    isImportableHost(log.domain) &&
+    isImportableHost(log.topDomain, true) &&
+    LOG_PERMISSION_TYPES.includes(log.permissionType) &&
+    LOG_ACTIONS.includes(log.action) &&
+    (log.metadata === undefined || isPlainObject(log.metadata)) &&
+    (log.pageTitle === undefined || typeof log.pageTitle === 'string') &&
+    isImportableUrl(log.url);
+}
+
+/**
+ * Stored form of an imported log: known fields only, the date recomputed
+ * from the timestamp and the user's redaction settings applied
+ */
+async function toImportedLog(log, redaction) {
+  const record = {
+    id: log.id,
+    timestamp: log.timestamp,
+    dateFormatted: formatDate(log.timestamp),
+    domain: log.domain,
+    url: log.url || '',
+    permissionType: log.permissionType,
+    action: log.action,
+    metadata: log.metadata || {},
+    pageTitle: log.pageTitle || '',
+    isVisible: log.isVisible !== false,
+    topOrigin: typeof log.topOrigin === 'string' ? log.topOrigin : '',
+    topDomain: log.topDomain || log.domain,
+    frameOrigin: typeof log.frameOrigin === 'string' ? log.frameOrigin : '',
+    frameDepth: Number(log.frameDepth) || 0,
+    tabId: Number.isInteger(log.tabId) ? log.tabId : null,
+    frameId: Number.isInteger(log.frameId) ? log.frameId : null,
+    isThirdPartyFrame: !!log.isThirdPartyFrame,
+    backgroundAccess: !!log.backgroundAccess
+  };
+  return Object.assign(record, await redactPageFields(record, redaction));
+}
+
+/**
+ * Check an imported capture session the same way
+ */
+function isValidSession(session) {
+  return isPlainObject(session) &&
+    typeof session.id === 'string' && session.id !== '' &&
+    typeof session.startTime === 'string' && !isNaN(Date.parse(session.startTime)) &&
+    (session.endTime == null || (typeof session.endTime === 'string' && !isNaN(Date.parse(session.endTime)))) &&
+    SESSION_PERMISSION_TYPES.includes(session.permissionType) &&
+    (session.endReason == null || SESSION_END_REASONS.includes(session.endReason)) &&
+    isImportableHost(session.domain) &&
+    isImportableHost(session.topDomain, true) &&
+    (session.pageTitle === undefined || typeof session.pageTitle === 'string') &&
+    isImportableUrl(session.url);
+}
+
+/**
+ * Stored form of an imported session; sessions from another browser are never live
+ */
+async function toImportedSession(session, redaction) {
+  const record = {
+    id: session.id,
+    permissionType: session.permissionType,
+    domain: session.domain,
+    topDomain: session.topDomain || session.domain,
+    isThirdPartyFrame: !!session.isThirdPartyFrame,
+    url: session.url || '',
+    pageTitle: session.pageTitle || '',
+    tabId: null,
+    startTime: session.startTime,
+    endTime: session.endTime || null,
+    duration: Number.isFinite(session.duration) ? session.duration : null,
+    trackLabels: Array.isArray(session.trackLabels) ? session.trackLabels.filter(label => typeof label === 'string') : [],
+    hiddenDuringSession: !!session.hiddenDuringSession,
+    endReason: session.endReason || 'unknown'
+  };
+  return Object.assign(record, await redactPageFields(record, redaction));
+}
+
+/**
+ * Merge an export file's contents into the current history
+ * Logs and sessions whose ID already exists are skipped; settings, policy
+ * rules and notification rules are replaced only when included in the message
+ */
+async function importData({ logs = [], sessions = [], settings, policyRules, notificationRules }) {
+  try {
+    // Imported data gets the same privacy level as newly captured events
+    const redaction = getRedactionSettings(await getSettings());
+    const validLogs = logs.filter(isValidLogEntry);
+    const records = await prepareLogRecords(await Promise.all(validLogs.map(log => toImportedLog(log, redaction))));
+    if (!records) {
+      return { success: false, error: 'Unlock the encrypted history before importing' };
+    }
+
+    let imported = 0;
+    await enqueueLogWrite(store => {
+      records.forEach(record => {
+        store.getKey(record.id).onsuccess = (event) => {
+          if (event.target.result === undefined) {
+            store.put(record);
+            imported++;
+          }
+        };
+      });
+    });
+
+    let sessionsImported = 0;
+    const validSessions = await Promise.all(
+      (Array.isArray(sessions) ? sessions : []).filter(isValidSession).map(session => toImportedSession(session, redaction))
+    );
+    await updateMediaSessions(existing => {
+      const knownIds = new Set(existing.map(session => session.id));
+      const added = validSessions.filter(session => !knownIds.has(session.id));
+      if (added.length === 0) {
+        return false;
+      }
+      sessionsImported = added.length;
+      const merged = existing.concat(added)
+        .sort((a, b) => Date.parse(b.startTime) - Date.parse(a.startTime))
+        .slice(0, MAX_MEDIA_SESSIONS);
+      existing.splice(0, existing.length, ...merged);
+    });
+
+    // Managed and locked settings are left as they are
+    if (settings && typeof settings === 'object') {
+      const { forwarder, ...importedSettings } = settings;
+      await updateSettings(importedSettings);
+      // The forwarder goes through the same validation as the dashboard form
+      if (forwarder && typeof forwarder === 'object') {
+        const result = await updateForwarderConfig(forwarder);
+        if (!result.success) {
+          console.warn('[Permission Analyzer] Imported forwarder settings skipped:', result.error);
+        }
+      }
+    }
+    if (Array.isArray(policyRules) && !(await isSettingLocked('policyRules'))) {
+      const validRules = policyRules.filter(rule =>
+        rule && typeof rule.id === 'string' && typeof rule.pattern === 'string' &&
+        POLICY_DECISIONS.includes(rule.decision) &&
+        (rule.permissionType === '*' || POLICY_PERMISSION_TYPES.includes(rule.permissionType))
+      );
+      await chrome.storage.local.set({ policyRules: validRules });
+    }
+    if (Array.isArray(notificationRules) && !(await isSettingLocked('notificationRules'))) {
+      // Same checks as ADD_NOTIFICATION_RULE; a later rule for the same pattern and type wins
+      const rulesByKey = new Map();
+      notificationRules.forEach(rule => {
+        const normalized = normalizeNotificationRule(rule);
+        if (normalized) {
+          rulesByKey.set(`${normalized.pattern}|${normalized.permissionType}`, {
+            id: typeof rule.id === 'string' && rule.id ? rule.id : `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            ...normalized
+          });
+        }
+      });
+      await chrome.storage.local.set({ notificationRules: Array.from(rulesByKey.values()) });
+    }
+
+    console.log(`[Permission Analyzer] Imported ${imported} logs and ${sessionsImported} sessions`);
+    return {
+      success: true,
+      imported,
+      skipped: validLogs.length - imported,
+      invalid: logs.length - validLogs.length,
+      sessionsImported
+    };
+  } catch (error) {
+    console.error('[Permission Analyzer] Error importing data:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Keep only the most recent sessions to prevent storage overflow
+const MAX_MEDIA_SESSIONS = 500;
+
+// Serializes read-modify-write cycles on the mediaSessions array
+let mediaSessionQueue = Promise.resolve();
+
+/**
+ * Apply a change to the stored media sessions
+ * The mutator edits the array in place; returning false skips the write
+ * While locked, existing sessions only have their readable fields
+ */
+function updateMediaSessions(mutator, keys) {
+  mediaSessionQueue = mediaSessionQueue.then(async () => {
+    await updateSealedList('mediaSessions', mutator, keys);
+  }).catch(error => {
+    console.error('[Permission Analyzer] Error updating media sessions:', error);
+  });
+  return mediaSessionQueue;
+}
+
+/**
+ * Get all media sessions (most recent first)
+ */
+async function getMediaSessions() {
+  try {
+    await mediaSessionQueue;
+    return readableItems(await readSealedList('mediaSessions'));
+  } catch (error) {
+    console.error('[Permission Analyzer] Error getting media sessions:', error);
+    return [];
+  }
+}
+
+/**
+ * Open or close a session from an 'active' / 'stopped' log entry
+ */
+async function trackMediaSession(logEntry, tabId) {
+  const metadata = logEntry.metadata;
+
+  if (logEntry.action === 'active') {
+    await updateMediaSessions(sessions => {
+      sessions.unshift({
+        id: metadata.sessionId,
+        permissionType: logEntry.permissionType,
+        domain: logEntry.domain,
+        topDomain: logEntry.topDomain,
+        isThirdPartyFrame: logEntry.isThirdPartyFrame,
+        url: logEntry.url,
+        pageTitle: logEntry.pageTitle,
+        tabId,
+        startTime: logEntry.timestamp,
+        endTime: null,
+        duration: null,
+        trackLabels: metadata.trackLabels || [],
+        hiddenDuringSession: !logEntry.isVisible,
+        endReason: null // null while the session is open
+      });
+      if (sessions.length > MAX_MEDIA_SESSIONS) {
+        sessions.length = MAX_MEDIA_SESSIONS;
+      }
+    });
+  } else if (logEntry.action === 'stopped') {
+    await updateMediaSessions(sessions => {
+      const session = sessions.find(item => item.id === metadata.sessionId);
+      if (!session || session.endReason) {
+        return false;
+      }
+      closeMediaSession(session, logEntry.timestamp, 'stopped');
+      session.hiddenDuringSession = session.hiddenDuringSession || !!metadata.hiddenDuringSession;
+    });
+  }
+
+  await updateTabIndicator(tabId);
+}
+
+/**
+ * Mark a session as ended
+ * endTime is null when the real end is unknown (e.g. the browser was closed)
+ */
+function closeMediaSession(session, endTime, endReason) {
+  session.endTime = endTime;
+  session.duration = endTime ? Date.parse(endTime) - Date.parse(session.startTime) : null;
+  session.endReason = endReason;
+}
+
+/**
+ * End every open session of a tab that closed or navigated without calling stop()
+ */
+function closeTabMediaSessions(tabId, endReason) {
+  const endTime = new Date().toISOString();
+  return updateMediaSessions(sessions => {
+    const open = sessions.filter(session => session.tabId === tabId && !session.endReason);
+    open.forEach(session => closeMediaSession(session, endTime, endReason));
+    return open.length > 0;
+  });
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  closeTabMediaSessions(tabId, 'tab-closed');
+  updateLiveLocation(tabId, () => null);
+});
+
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+  // A new document is loading - the old page's tracks and watchers are gone
+  if (changeInfo.status === 'loading') {
+    await closeTabMediaSessions(tabId, 'navigated');
+    await updateLiveLocation(tabId, () => null);
+    updateTabIndicator(tabId);
+  }
+});
+
+/**
+ * LIVE TAB INDICATOR
+ * Each tab's toolbar badge, colour, title and icon show what is in use there
+ * right now: open camera / microphone / screen capture sessions and location
+ * watchers. Tab-specific values override the global new-log counter until
+ * nothing is live, then fall back to it. Location watcher counts per frame are
+ * kept in chrome.storage.session so a restarted service worker still knows them.
+ */
+const LIVE_INDICATORS = [ // Badge text priority, highest first
+  { permissionType: 'screen-capture', text: 'SCR', color: '#db2777', name: 'Screen capture' },
+  { permissionType: 'camera', text: 'CAM', color: '#dc2626', name: 'Camera' },
+  { permissionType: 'microphone', text: 'MIC', color: '#d97706', name: 'Microphone' },
+  { permissionType: 'location', text: 'LOC', color: '#059669', name: 'Location' }
+];
+const GLOBAL_BADGE_COLOR = '#ef4444';
+const DEFAULT_ICON_PATHS = {
+  16: 'icons/icon16.png',
+  48: 'icons/icon48.png',
+  128: 'icons/icon128.png'
+};
+
+// Serializes read-modify-write cycles on the session-scoped watcher counts
+let liveLocationQueue = Promise.resolve();
+let liveIconPromise = null;
+
+/**
+ * Replace one tab's { frameId: watcherCount } map; returning null removes it
+ */
+function updateLiveLocation(tabId, mutator) {
+  liveLocationQueue = liveLocationQueue.then(async () => {
+    const { liveLocation = {} } = await chrome.storage.session.get(['liveLocation']);
+    const frames = mutator({ ...(liveLocation[tabId] || {}) });
+    if (frames && Object.keys(frames).length > 0) {
+      liveLocation[tabId] = frames;
+    } else if (liveLocation[tabId]) {
+      delete liveLocation[tabId];
+    } else {
+      return; // Nothing stored, nothing to change
+    }
+    await chrome.storage.session.set({ liveLocation });
+  }).catch(error => {
+    console.error('[Permission Analyzer] Error updating live location state:', error);
+  });
+  return liveLocationQueue;
+}
+
+/**
+ * Record a frame's open location watcher count from content.js
+ */
+async function setLocationWatchers(sender, count) {
+  const tabId = sender.tab && sender.tab.id;
+  if (tabId === undefined) {
+    return;
+  }
+  const frameKey = String(sender.frameId || 0);
+  await updateLiveLocation(tabId, frames => {
+    if (count > 0) {
+      frames[frameKey] = count;
+    } else {
+      delete frames[frameKey];
+    }
+    return frames;
+  });
+  await updateTabIndicator(tabId);
+}
+
+/**
+ * Permission types live in a tab right now
+ */
+async function getLiveTypes(tabId) {
+  // The fields used here stay readable while the history is locked
+  await mediaSessionQueue;
+  const [sessions, { liveLocation = {} }] = await Promise.all([
+    readSealedList('mediaSessions'),
+    chrome.storage.session.get(['liveLocation'])
+  ]);
+  const types = new Set(sessions
+    .filter(session => session.tabId === tabId && !session.endReason)
+    .map(session => session.permissionType));
+  if (liveLocation[tabId]) {
+    types.add('location');
+  }
+  return types;
+}
+
+/**
+ * The toolbar icon with a red "live" dot, drawn once from the packaged icon
+ */
+function getLiveIcon() {
+  if (!liveIconPromise) {
+    liveIconPromise = (async () => {
+      const response = await fetch(chrome.runtime.getURL('icons/icon48.png'));
+      const bitmap = await createImageBitmap(await response.blob());
+      const imageData = {};
+      [16, 32].forEach(size => {
+        const context = new OffscreenCanvas(size, size).getContext('2d');
+        context.drawImage(bitmap, 0, 0, size, size);
+        context.fillStyle = GLOBAL_BADGE_COLOR;
+        context.beginPath();
+        context.arc(size * 0.78, size * 0.22, size * 0.22, 0, 2 * Math.PI);
+        context.fill();
+        imageData[size] = context.getImageData(0, 0, size, size);
+      });
+      return imageData;
+    })().catch(error => {
+      liveIconPromise = null; // Retry next time
+      throw error;
+    });
+  }
+  return liveIconPromise;
+}
+
+/**
+ * Show or clear a tab's live indicator
+ */
+async function updateTabIndicator(tabId) {
+  if (tabId === null || tabId === undefined) {
+    return;
+  }
+
+  try {
+    const types = await getLiveTypes(tabId);
+    const live = LIVE_INDICATORS.filter(indicator => types.has(indicator.permissionType));
+
+    if (live.length === 0) {
+      // null text falls back to the global new-log counter
+      await chrome.action.setBadgeText({ tabId, text: null });
+      await chrome.action.setBadgeBackgroundColor({ tabId, color: GLOBAL_BADGE_COLOR });
+      await chrome.action.setTitle({ tabId, title: chrome.runtime.getManifest().name });
+      await chrome.action.setIcon({ tabId, path: DEFAULT_ICON_PATHS });
+      return;
+    }
+
+    await chrome.action.setBadgeText({ tabId, text: live.length > 1 ? `${live[0].text}+` : live[0].text });
+    await chrome.action.setBadgeBackgroundColor({ tabId, color: live[0].color });
+    await chrome.action.setTitle({
+      tabId,
+      title: `${chrome.runtime.getManifest().name} - in use: ${live.map(indicator => indicator.name).join(', ')}`
+    });
+    await chrome.action.setIcon({ tabId, imageData: await getLiveIcon() });
+  } catch (error) {
+    // The tab may have closed in the meantime
+    console.debug('[Permission Analyzer] Could not update tab indicator:', error.message);
+  }
+}
+
+// Tab IDs do not survive a browser restart, so sessions left open have an unknown end
+chrome.runtime.onStartup.addListener(() => {
+  updateMediaSessions(sessions => {
+    const open = sessions.filter(session => !session.endReason);
+    open.forEach(session => closeMediaSession(session, null, 'unknown'));
+    return open.length > 0;
+  });
+});
+
+/**
+ * EVENT FORWARDING (opt-in)
+ * New log entries are queued in chrome.storage.local (`forwardQueue`) and sent
+ * in batches to either a localhost HTTP collector - POST with a JSON body of
+ * { source, version, events } - or a native messaging host, which receives
+ * { type: 'events', events } and may reply { ok: false, error } to reject a batch.
+ * Failed deliveries back off exponentially; the queue and the failure count
+ * survive service worker restarts. Disabling forwarding discards the queue.
+ */
+const FORWARD_BATCH_SIZE = 50;
+const FORWARD_FLUSH_DELAY = 2000; // Gather events for a moment before sending
+const FORWARD_RETRY_BASE = 5000; // First retry after 5s, doubling each failure
+const FORWARD_RETRY_MAX = 5 * 60 * 1000;
+const FORWARD_REQUEST_TIMEOUT = 10000;
+const MAX_FORWARD_QUEUE = 5000; // Oldest events are dropped beyond this
+const FORWARD_ALARM = 'forward-retry';
+const FORWARD_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Serializes read-modify-write cycles on the forward queue
+let forwardQueueLock = Promise.resolve();
+let forwardTimer = null;
+let forwardInFlight = false;
+
+/**
+ * Apply a change to the stored forward queue; resolves with the new length
+ * The mutator edits the array in place; returning false skips the write
+ */
+function updateForwardQueue(mutator, keys) {
+  forwardQueueLock = forwardQueueLock.then(async () => {
+    const queue = await updateSealedList('forwardQueue', mutator, keys);
+    return queue.length;
+  }).catch(error => {
+    console.error('[Permission Analyzer] Error updating forward queue:', error);
+    return 0;
+  });
+  return forwardQueueLock;
+}
+
+/**
+ * Merge changes into the stored delivery status
+ */
+async function setForwardStatus(changes) {
+  const result = await chrome.storage.local.get(['forwardStatus']);
+  await chrome.storage.local.set({ forwardStatus: { ...(result.forwardStatus || {}), ...changes } });
+}
+
+/**
+ * Check a forwarder configuration; returns an error message or null
+ * HTTP endpoints are limited to this machine
+ */
+function validateForwarderConfig(config) {
+  if (config.transport === 'native') {
+    return /^[a-z0-9_]+(\.[a-z0-9_]+)*$/.test(config.nativeHost)
+      ? null
+      : 'Native host names use lowercase letters, digits, underscores and dots';
+  }
+  if (config.transport !== 'http') {
+    return 'Unknown transport';
+  }
+  try {
+    const url = new URL(config.endpoint);
+    if (!['http:', 'https:'].includes(url.protocol) || !FORWARD_HOSTS.includes(url.hostname)) {
+      return 'The endpoint must be an http(s) URL on localhost';
+    }
+  } catch (error) {
+    return 'The endpoint is not a valid URL';
+  }
+  return null;
+}
+
+/**
+ * Forwarder configuration with every field present and trimmed
+ */
+function normalizeForwarderConfig(config = {}) {
+  return {
+    enabled: !!config.enabled,
+    transport: config.transport === 'native' ? 'native' : 'http',
+    endpoint: (config.endpoint || '').trim(),
+    nativeHost: (config.nativeHost || '').trim()
+  };
+}
+
+/**
+ * Queue a log entry for the collector
+ */
+async function forwardLog(logEntry, settings) {
+  if (!settings.forwarder || !settings.forwarder.enabled) {
+    return;
+  }
+  await updateForwardQueue(queue => {
+    queue.push(logEntry);
+    if (queue.length > MAX_FORWARD_QUEUE) {
+      queue.splice(0, queue.length - MAX_FORWARD_QUEUE);
+    }
+  });
+  scheduleForwardFlush(FORWARD_FLUSH_DELAY);
+}
+
+/**
+ * Flush after a delay unless a flush is already scheduled
+ */
+function scheduleForwardFlush(delay) {
+  if (forwardTimer) {
+    return;
+  }
+  forwardTimer = setTimeout(() => {
+    forwardTimer = null;
+    flushForwardQueue();
+  }, delay);
+}
+
+/**
+ * Send one batch to the configured transport; throws on any delivery failure
+ */
+async function sendForwardBatch(config, events) {
+  if (config.transport === 'native') {
+    if (!chrome.runtime.sendNativeMessage) {
+      throw new Error('Native messaging permission not granted');
+    }
+    const response = await chrome.runtime.sendNativeMessage(config.nativeHost, { type: 'events', events });
+    if (response && response.ok === false) {
+      throw new Error(response.error || 'Native host rejected the batch');
+    }
+    return;
+  }
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FORWARD_REQUEST_TIMEOUT);
+  try {
+    const response = await fetch(config.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ source: 'permission-analyzer', version: chrome.runtime.getManifest().version, events }),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  } catch (error) {
+    throw error.name === 'AbortError' ? new Error('Request timed out') : error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Deliver queued events one batch at a time
+ * Waits out a pending backoff unless forced (the dashboard's "Retry Now")
+ */
+async function flushForwardQueue(force = false) {
+  if (forwardInFlight) {
+    return;
+  }
+  forwardInFlight = true;
+
+  try {
+    const settings = await getSettings();
+    if (!settings.forwarder || !settings.forwarder.enabled) {
+      return;
+    }
+
+    // Never send to a target that would not pass the dashboard form
+    const config = normalizeForwarderConfig(settings.forwarder);
+    const configError = validateForwarderConfig(config);
+    if (configError) {
+      console.warn('[Permission Analyzer] Not forwarding:', configError);
+      await setForwardStatus({ lastError: configError });
+      return;
+    }
+
+    await forwardQueueLock;
+    const forwardQueue = await readSealedList('forwardQueue');
+    if (forwardQueue.length === 0) {
+      return;
+    }
+    // Events queued while encrypted can only be read once the history is unlocked
+    if (readableItems(forwardQueue).length < forwardQueue.length) {
+      console.log('[Permission Analyzer] History locked, forwarding resumes after unlock');
+      return;
+    }
+    const { forwardStatus = {} } = await chrome.storage.local.get(['forwardStatus']);
+
+    const wait = (forwardStatus.retryAt ? Date.parse(forwardStatus.retryAt) : 0) - Date.now();
+    if (!force && wait > 0) {
+      scheduleForwardFlush(wait);
+      return;
+    }
+
+    const batch = forwardQueue.slice(0, FORWARD_BATCH_SIZE);
+    try {
+      await sendForwardBatch(config, batch);
+    } catch (error) {
+      const failures = (forwardStatus.failures || 0) + 1;
+      const delay = Math.min(FORWARD_RETRY_BASE * 2 ** (failures - 1), FORWARD_RETRY_MAX);
+      const retryAt = Date.now() + delay;
+      await setForwardStatus({
+        state: 'retrying',
+        failures,
+        lastError: error.message,
+        lastAttempt: new Date().toISOString(),
+        retryAt: new Date(retryAt).toISOString()
+      });
+
+      clearTimeout(forwardTimer);
+      forwardTimer = null;
+      scheduleForwardFlush(delay);
+      // The timer is lost if the worker is suspended; the alarm wakes it again
+      chrome.alarms.create(FORWARD_ALARM, { when: retryAt });
+      console.warn(`[Permission Analyzer] Forwarding failed (${error.message}), retrying in ${delay / 1000}s`);
+      return;
+    }
+
+    const sentIds = new Set(batch.map(log => log.id));
+    const remaining = await updateForwardQueue(queue => {
+      const kept = queue.filter(log => !sentIds.has(log.id));
+      queue.splice(0, queue.length, ...kept);
+    });
+    await setForwardStatus({
+      state: 'ok',
+      failures: 0,
+      lastError: null,
+      retryAt: null,
+      lastAttempt: new Date().toISOString(),
+      lastSuccess: new Date().toISOString(),
+      delivered: (forwardStatus.delivered || 0) + batch.length
+    });
+    chrome.alarms.clear(FORWARD_ALARM);
+
+    if (remaining > 0) {
+      scheduleForwardFlush(0);
+    }
+  } catch (error) {
+    console.error('[Permission Analyzer] Error forwarding logs:', error);
+  } finally {
+    forwardInFlight = false;
+  }
+}
+
+/**
+ * Forwarder configuration, delivery status and queue length for the settings UI
+ */
+async function getForwarderStatus() {
+  try {
+    const [settings, result] = await Promise.all([
+      getSettings(),
+      chrome.storage.local.get(['forwardQueue', 'forwardStatus'])
+    ]);
+    return {
+      config: settings.forwarder || { enabled: false, transport: 'http', endpoint: '', nativeHost: '' },
+      status: result.forwardStatus || { state: 'disabled' },
+      queued: (result.forwardQueue || []).length
+    };
+  } catch (error) {
+    console.error('[Permission Analyzer] Error getting forwarder status:', error);
+    return { config: { enabled: false }, status: { state: 'disabled' }, queued: 0 };
+  }
+}
+
+/**
+ * Save the forwarder configuration and restart delivery with a fresh backoff
+ */
+async function updateForwarderConfig(config = {}) {
+  try {
+    if (await isSettingLocked('forwarder')) {
+      return { success: false, error: MANAGED_LOCKED_ERROR };
+    }
+
+    const forwarder = normalizeForwarderConfig(config);
+
+    if (forwarder.enabled) {
+      const error = validateForwarderConfig(forwarder);
+      if (error) {
+        return { success: false, error };
+      }
+    }
+
+    await updateSettings({ forwarder });
+    await setForwardStatus({
+      state: forwarder.enabled ? 'idle' : 'disabled',
+      failures: 0,
+      lastError: null,
+      retryAt: null
+    });
+    clearTimeout(forwardTimer);
+    forwardTimer = null;
+    chrome.alarms.clear(FORWARD_ALARM);
+
+    if (forwarder.enabled) {
+      flushForwardQueue();
+    } else {
+      await updateForwardQueue(queue => {
+        queue.length = 0;
+      });
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('[Permission Analyzer] Error updating forwarder:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Resume delivery of events queued before the service worker was suspended
+flushForwardQueue();
+
+/**
+ * PRIVACY DIGEST
+ * On a daily or weekly alarm the logs of the period just ended are summarized:
+ * event counts per permission type against the period before, domains never
+ * seen before the period, and access from hidden tabs. Digests are kept in
+ * chrome.storage.local (`digests`, newest first) and announced with a
+ * notification that opens the digest page.
+ */
+const DIGEST_ALARM = 'privacy-digest';
+const DIGEST_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+const MAX_DIGESTS = 60;
+
+// Serializes read-modify-write cycles on the digests array
+let digestQueue = Promise.resolve();
+
+/**
+ * Create the digest alarm for the configured frequency
+ * An existing alarm with the right period is kept unless reset is set
+ */
+async function scheduleDigest(reset = false) {
+  try {
+    const settings = await getSettings();
+    // Digests are opt-in: no frequency set means off
+    const period = DIGEST_PERIODS[settings.digestFrequency];
+    const existing = await chrome.alarms.get(DIGEST_ALARM);
+
+    if (!period) {
+      if (existing) {
+        await chrome.alarms.clear(DIGEST_ALARM);
+      }
+      return;
+    }
+
+    const periodInMinutes = period / 60000;
+    if (!reset && existing && existing.periodInMinutes === periodInMinutes) {
+      return;
+    }
+    await chrome.alarms.create(DIGEST_ALARM, { delayInMinutes: periodInMinutes, periodInMinutes });
+  } catch (error) {
+    console.error('[Permission Analyzer] Error scheduling digest:', error);
+  }
+}
+
+/**
+ * Group logs by domain with their count and permission types
+ */
+function summarizeDomains(logs) {
+  const byDomain = new Map();
+  logs.forEach(log => {
+    if (!byDomain.has(log.domain)) {
+      byDomain.set(log.domain, { domain: log.domain, count: 0, permissionTypes: new Set() });
+    }
+    const entry = byDomain.get(log.domain);
+    entry.count++;
+    entry.permissionTypes.add(log.permissionType);
+  });
+  return Array.from(byDomain.values())
+    .map(entry => ({ ...entry, permissionTypes: Array.from(entry.permissionTypes) }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Build and store a digest for the period ending now
+ */
+async function generateDigest(frequency) {
+  try {
+    if (await isHistoryLocked()) {
+      console.log('[Permission Analyzer] Digest skipped - history is locked');
+      return null;
+    }
+
+    const settings = await getSettings();
+    const digestFrequency = DIGEST_PERIODS[frequency] ? frequency
+      : DIGEST_PERIODS[settings.digestFrequency] ? settings.digestFrequency
+      : 'weekly';
+    const period = DIGEST_PERIODS[digestFrequency];
+    const periodEnd = Date.now();
+    const periodStart = periodEnd - period;
+    const previousStart = periodStart - period;
+
+    const current = [];
+    const previous = [];
+    const seenBefore = new Set();
+    (await getLogs()).forEach(log => {
+      const time = Date.parse(log.timestamp);
+      if (time >= periodStart) {
+        current.push(log);
+      } else {
+        seenBefore.add(log.domain);
+        if (time >= previousStart) {
+          previous.push(log);
+        }
+      }
+    });
+
+    const countByType = logs => logs.reduce((counts, log) => {
+      counts[log.permissionType] = (counts[log.permissionType] || 0) + 1;
+      return counts;
+    }, {});
+    const currentCounts = countByType(current);
+    const previousCounts = countByType(previous);
+    const types = new Set([...Object.keys(currentCounts), ...Object.keys(previousCounts)]);
+
+    const digest = {
+      id: `${periodEnd}-${Math.random().toString(36).substr(2, 9)}`,
+      frequency: digestFrequency,
+      periodStart: new Date(periodStart).toISOString(),
+      periodEnd: new Date(periodEnd).toISOString(),
+      total: current.length,
+      previousTotal: previous.length,
+      byType: Array.from(types)
+        .map(permissionType => ({
+          permissionType,
+          count: currentCounts[permissionType] || 0,
+          previous: previousCounts[permissionType] || 0
+        }))
+        .sort((a, b) => b.count - a.count),
+      newDomains: summarizeDomains(current.filter(log => !seenBefore.has(log.domain))),
+      hiddenTab: summarizeDomains(current.filter(log =>
+        log.isVisible === false || (log.metadata || {}).hiddenDuringSession
+      ))
+    };
+
+    await updateDigests(digests => {
+      digests.unshift(digest);
+      digests.splice(MAX_DIGESTS);
+    });
+
+    console.log('[Permission Analyzer] Digest generated:', digest.id);
+    return digest;
+  } catch (error) {
+    console.error('[Permission Analyzer] Error generating digest:', error);
+    return null;
+  }
+}
+
+/**
+ * Apply a change to the stored digests
+ * The mutator edits the array in place; returning false skips the write
+ */
+function updateDigests(mutator, keys) {
+  digestQueue = digestQueue.then(async () => {
+    await updateSealedList('digests', mutator, keys);
+  }).catch(error => {
+    console.error('[Permission Analyzer] Error updating digests:', error);
+  });
+  return digestQueue;
+}
+
+/**
+ * Get stored digests (newest first); none while the history is locked
+ */
+async function getDigests() {
+  try {
+    await digestQueue;
+    return readableItems(await readSealedList('digests'));
+  } catch (error) {
+    console.error('[Permission Analyzer] Error getting digests:', error);
+    return [];
+  }
+}
+
+/**
+ * Announce a digest; clicking the notification opens the digest page
+ * Silent while notifications are off or during quiet hours (the digest is still saved)
+ */
+async function showDigestNotification(digest) {
+  const settings = await getSettings();
+  if (settings.notificationsEnabled === false || isQuietTime(settings.quietHours)) {
+    return;
+  }
+
+  const change = digest.total - digest.previousTotal;
+  const parts = [
+    `${digest.total} events (${change >= 0 ? '+' : ''}${change} vs. previous ${digest.frequency === 'daily' ? 'day' : 'week'})`
+  ];
+  if (digest.newDomains.length > 0) {
+    parts.push(`${digest.newDomains.length} new domains`);
+  }
+  if (digest.hiddenTab.length > 0) {
+    parts.push(`${digest.hiddenTab.length} domains used permissions in hidden tabs`);
+  }
+
+  chrome.notifications.create(`digest-${digest.id}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: `📊 Your ${digest.frequency} privacy digest`,
+    message: parts.join(' • '),
+    priority: 0
+  });
+}
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId.startsWith('digest-')) {
+    const digestId = notificationId.slice('digest-'.length);
+    chrome.tabs.create({ url: chrome.runtime.getURL(`digest/digest.html#${digestId}`) });
+    chrome.notifications.clear(notificationId);
+  }
+});
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === FORWARD_ALARM) {
+    flushForwardQueue();
+  } else if (alarm.name === DIGEST_ALARM) {
+    const digest = await generateDigest();
+    if (digest) {
+      showDigestNotification(digest);
+    }
+  } else if (alarm.name === RETENTION_ALARM) {
+    pruneExpiredLogs();
+  }
+});
+
+// Make sure the digest alarm exists (alarms can be lost on browser updates)
+scheduleDigest();
+
+/**
+ * Get risk scores for every domain, riskiest first
+ */
+async function getRiskScores() {
+  return computeRiskScores(await getLogs());
+}
+
+/**
+ * Get the risk score of one domain (null if it never used a permission)
+ */
+async function getDomainRisk(domain) {
+  const { logs } = await queryLogs({ domain });
+  return computeRiskScores(logs)[0] || null;
+}
+
+/**
+ * ENTERPRISE POLICY (chrome.storage.managed)
+ * Administrators can deploy a policy described by managed_schema.json.
+ * A managed value for any key in MANAGED_SETTING_KEYS overrides the user's
+ * setting and locks it; lockedSettings additionally locks keys at the user's
+ * current value, including 'policyRules' and 'notificationRules'.
+ * blockedDomains block every permission on matching domains, and managed
+ * notificationRules win over the user's own. The policy is read on every use,
+ * so changes pushed by the browser apply without a restart.
+ */
+const MANAGED_SETTING_KEYS = [
+  'notificationsEnabled',
+  'quietHours',
+  'notificationPriorities',
+  'digestFrequency',
+  'retentionDays',
+  'forwarder',
+  'redaction'
+];
+const LOCKABLE_KEYS = [...MANAGED_SETTING_KEYS, 'policyRules', 'notificationRules'];
+const MANAGED_LOCKED_ERROR = 'This setting is managed by your administrator';
+
+// Last managed forwarder error reported, so each one is logged once
+let managedForwarderError = null;
+
+/**
+ * Read the deployed policy ({} when there is none)
+ */
+async function getManagedPolicy() {
+  try {
+    return await chrome.storage.managed.get(null);
+  } catch (error) {
+    console.error('[Permission Analyzer] Error reading managed policy:', error);
+    return {};
+  }
+}
+
+/**
+ * Settings the policy overrides
+ * A managed forwarder that fails validation is kept switched off
+ */
+function getManagedSettings(policy) {
+  const managed = {};
+  MANAGED_SETTING_KEYS.forEach(key => {
+    if (policy[key] !== undefined) {
+      managed[key] = policy[key];
+    }
+  });
+
+  if (managed.forwarder) {
+    const forwarder = normalizeForwarderConfig(managed.forwarder);
+    const error = forwarder.enabled ? validateForwarderConfig(forwarder) : null;
+    if (error) {
+      if (error !== managedForwarderError) {
+        console.warn('[Permission Analyzer] Ignoring managed forwarder:', error);
+      }
+      forwarder.enabled = false;
+    }
+    managedForwarderError = error;
+    managed.forwarder = forwarder;
+  }
+  return managed;
+}
+
+/**
+ * Keys the user cannot change: every managed setting plus policy.lockedSettings
+ */
+function getLockedKeys(policy) {
+  const locked = new Set(Object.keys(getManagedSettings(policy)));
+  (Array.isArray(policy.lockedSettings) ? policy.lockedSettings : []).forEach(key => {
+    if (LOCKABLE_KEYS.includes(key)) {
+      locked.add(key);
+    }
+  });
+  return Array.from(locked);
+}
+
+/**
+ * Check whether a setting (or rule list) is locked by the policy
+ */
+async function isSettingLocked(key) {
+  return getLockedKeys(await getManagedPolicy()).includes(key);
+}
+
+/**
+ * Managed blocked domains as block-everything policy rules
+ */
+function getManagedPolicyRules(policy) {
+  const patterns = Array.isArray(policy.blockedDomains) ? policy.blockedDomains : [];
+  return patterns
+    .map(pattern => String(pattern).trim().toLowerCase())
+    .filter(Boolean)
+    .map((pattern, index) => ({
+      id: `managed-${index}`,
+      pattern,
+      permissionType: '*',
+      decision: 'block',
+      managed: true
+    }));
+}
+
+/**
+ * Managed notification rules, dropping any the schema would not allow
+ */
+function getManagedNotificationRules(policy) {
+  const rules = Array.isArray(policy.notificationRules) ? policy.notificationRules : [];
+  return rules
+    .map((rule, index) => ({
+      id: `managed-${index}`,
+      pattern: String((rule && rule.pattern) || '').trim().toLowerCase(),
+      permissionType: (rule && rule.permissionType) || '*',
+      mode: rule && rule.mode,
+      managed: true
+    }))
+    .filter(rule => rule.pattern && NOTIFICATION_MODES.includes(rule.mode) &&
+      (rule.permissionType === '*' || NOTIFICATION_PERMISSION_TYPES.includes(rule.permissionType)));
+}
+
+/**
+ * What the popup and dashboard need to show managed options
+ */
+async function getManagedState() {
+  const policy = await getManagedPolicy();
+  return {
+    managed: Object.keys(policy).length > 0,
+    lockedKeys: getLockedKeys(policy)
+  };
+}
+
+// Apply policy changes pushed while the browser is running
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'managed') {
+    console.log('[Permission Analyzer] Managed policy changed:', Object.keys(changes));
+    scheduleDigest();
+    pruneExpiredLogs();
+    flushForwardQueue();
   }
 });
 
 /**
- * Handle permission usage event
+ * Settings as stored by the user, without managed overrides
  */
-async function handlePermissionUsage(data) {
+async function getLocalSettings() {
   try {
-    // Create comprehensive log entry
-    const logEntry = {
-      id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      timestamp: data.timestamp,
-      dateFormatted: formatDate(data.timestamp),
-      domain: data.domain,
-      url: data.url,
-      permissionType: data.permissionType,
-      action: data.action,
-      metadata: data.metadata || {},
-      pageTitle: data.pageTitle || '',
-      isVisible: data.isVisible !== undefined ? data.isVisible : true
-    };
+    const result = await chrome.storage.local.get(['settings']);
+    return result.settings || { notificationsEnabled: true };
+  } catch (error) {
+    console.error('[Permission Analyzer] Error getting settings:', error);
+    return { notificationsEnabled: true };
+  }
+}
 
-    // Save to storage
-    await saveLog(logEntry);
+/**
+ * Get effective settings (managed values override the user's)
+ */
+async function getSettings() {
+  const [settings, policy] = await Promise.all([getLocalSettings(), getManagedPolicy()]);
+  return { ...settings, ...getManagedSettings(policy) };
+}
 
-    // Increment badge counter
-    newLogsCount++;
-    updateBadge();
+/**
+ * Update user settings; locked keys are left unchanged
+ * Returns { success, ignored } with the keys that were locked
+ */
+async function updateSettings(newSettings) {
+  try {
+    const lockedKeys = getLockedKeys(await getManagedPolicy());
+    const changes = {};
+    const ignored = [];
+    Object.keys(newSettings).forEach(key => {
+      if (lockedKeys.includes(key)) {
+        ignored.push(key);
+      } else {
+        changes[key] = newSettings[key];
+      }
+    });
 
-    // Show notification if enabled
-    const settings = await getSettings();
-    if (settings.notificationsEnabled !== false) {
-      showNotification(logEntry);
+    // Merge so callers can update one setting without knowing the others
+    await chrome.storage.local.set({ settings: { ...(await getLocalSettings()), ...changes } });
+    if ('digestFrequency' in changes) {
+      await scheduleDigest(true);
+    }
+    if ('retentionDays' in changes) {
+      await pruneExpiredLogs();
     }
+    if (ignored.length > 0) {
+      console.warn('[Permission Analyzer] Managed settings not updated:', ignored);
+    }
+    console.log('[Permission Analyzer] Settings updated:', changes);
+    return { success: true, ignored };
+  } catch (error) {
+    console.error('[Permission Analyzer] Error updating settings:', error);
+    return { success: false, error: error.message };
+  }
+}
 
-    console.log('[Permission Analyzer] Logged:', logEntry);
+/**
+ * URL AND TITLE REDACTION
+ * settings.redaction controls what is stored for each event's page:
+ *   urlMode   - 'full' (minus stripParams), 'origin-path', 'origin' or 'hash'
+ *               (origin plus a salted SHA-256 of the full URL, so pages can
+ *               still be grouped without being readable)
+ *   titleMode - 'keep', 'truncate' (to titleMaxLength) or 'drop'
+ * Every step is idempotent, so a level can be re-applied to old history.
+ */
+const URL_REDACTION_MODES = ['full', 'origin-path', 'origin', 'hash'];
+const TITLE_REDACTION_MODES = ['keep', 'truncate', 'drop'];
+const DEFAULT_REDACTION = {
+  urlMode: 'full',
+  titleMode: 'keep',
+  titleMaxLength: 60,
+  stripParams: []
+};
+// Hashed URLs keep the origin and put the digest in the path (origin/sha256-<hex>),
+// so each hashed page still counts as its own page
+const URL_HASH_PATTERN = /^\/sha256-[0-9a-f]{32}$/;
+
+let urlHashSaltPromise = null;
+
+/**
+ * Redaction settings with defaults filled in and invalid values dropped
+ */
+function getRedactionSettings(settings) {
+  const redaction = { ...DEFAULT_REDACTION, ...(settings.redaction || {}) };
+  if (!URL_REDACTION_MODES.includes(redaction.urlMode)) {
+    redaction.urlMode = DEFAULT_REDACTION.urlMode;
+  }
+  if (!TITLE_REDACTION_MODES.includes(redaction.titleMode)) {
+    redaction.titleMode = DEFAULT_REDACTION.titleMode;
+  }
+  const maxLength = Number(redaction.titleMaxLength);
+  redaction.titleMaxLength = maxLength >= 1 ? Math.floor(maxLength) : DEFAULT_REDACTION.titleMaxLength;
+  redaction.stripParams = Array.isArray(redaction.stripParams)
+    ? redaction.stripParams.map(name => String(name).trim().toLowerCase()).filter(Boolean)
+    : [];
+  return redaction;
+}
+
+/**
+ * Per-install salt for URL hashes, created on first use
+ */
+function getUrlHashSalt() {
+  if (!urlHashSaltPromise) {
+    urlHashSaltPromise = (async () => {
+      const result = await chrome.storage.local.get(['urlHashSalt']);
+      if (result.urlHashSalt) {
+        return result.urlHashSalt;
+      }
+      const salt = Array.from(crypto.getRandomValues(new Uint8Array(16)),
+        byte => byte.toString(16).padStart(2, '0')).join('');
+      await chrome.storage.local.set({ urlHashSalt: salt });
+      return salt;
+    })().catch(error => {
+      urlHashSaltPromise = null;
+      throw error;
+    });
+  }
+  return urlHashSaltPromise;
+}
+
+/**
+ * Salted SHA-256 of a URL, shortened to 128 bits of hex
+ */
+async function hashUrl(url) {
+  const salt = await getUrlHashSalt();
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(salt + url));
+  return Array.from(new Uint8Array(digest).slice(0, 16),
+    byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Remove the configured parameters from a query string or a
+ * parameter-style fragment (e.g. #access_token=...)
+ */
+function stripUrlParams(parsed, stripParams) {
+  let changed = false;
+  const strip = value => {
+    const params = new URLSearchParams(value);
+    const names = Array.from(params.keys()).filter(name => stripParams.includes(name.toLowerCase()));
+    names.forEach(name => params.delete(name));
+    changed = changed || names.length > 0;
+    return names.length > 0 ? params.toString() : null;
+  };
+
+  const search = strip(parsed.search);
+  if (search !== null) {
+    parsed.search = search;
+  }
+  if (parsed.hash.includes('=')) {
+    const hash = strip(parsed.hash.slice(1));
+    if (hash !== null) {
+      parsed.hash = hash;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Redact one URL; values that are not URLs are returned unchanged
+ */
+async function redactUrl(url, redaction) {
+  let parsed;
+  try {
+    parsed = new URL(url);
   } catch (error) {
-    console.error('[Permission Analyzer] Error handling permission usage:', error);
+    return url;
+  }
+  const origin = parsed.origin !== 'null' ? parsed.origin : `${parsed.protocol}//`;
+  const isHashed = URL_HASH_PATTERN.test(parsed.pathname) && !parsed.search && !parsed.hash;
+
+  if (redaction.urlMode === 'origin') {
+    return origin;
   }
+  if (redaction.urlMode === 'origin-path') {
+    return origin + parsed.pathname;
+  }
+  if (redaction.urlMode === 'hash') {
+    return isHashed ? url : `${origin}/sha256-${await hashUrl(url)}`;
+  }
+  return !isHashed && stripUrlParams(parsed, redaction.stripParams) ? parsed.href : url;
 }
 
 /**
- * Update extension badge with new logs count
+ * Drop or shorten a page title
  */
-function updateBadge() {
-  if (newLogsCount > 0) {
-    const badgeText = newLogsCount > 99 ? '99+' : newLogsCount.toString();
-    chrome.action.setBadgeText({ text: badgeText });
-    chrome.action.setBadgeBackgroundColor({ color: '#ef4444' }); // Red color
-  } else {
-    chrome.action.setBadgeText({ text: '' });
+function redactTitle(title, redaction) {
+  if (redaction.titleMode === 'drop') {
+    return '';
+  }
+  if (redaction.titleMode === 'truncate' && title.length > redaction.titleMaxLength) {
+    return `${title.slice(0, redaction.titleMaxLength).trimEnd()}…`;
   }
+  return title;
 }
 
 /**
- * Reset badge counter (called when user opens popup)
+ * Redacted url and pageTitle for a log entry or session
  */
-function resetBadge() {
-  newLogsCount = 0;
-  chrome.action.setBadgeText({ text: '' });
+async function redactPageFields(item, redaction) {
+  return {
+    url: await redactUrl(item.url || '', redaction),
+    pageTitle: redactTitle(item.pageTitle || '', redaction)
+  };
 }
 
 /**
- * Save log entry to chrome.storage.local
+ * Re-apply the current redaction settings to stored logs, media sessions
+ * and events waiting to be forwarded (not reversible)
  */
-async function saveLog(logEntry) {
+async function applyRedactionToHistory() {
   try {
-    const result = await chrome.storage.local.get(['logs']);
-    const logs = result.logs || [];
-    
-    // Add new log at the beginning (most recent first)
-    logs.unshift(logEntry);
-    
-    // Keep only last 1000 logs to prevent storage overflow
-    if (logs.length > 1000) {
-      logs.length = 1000;
+    const redaction = getRedactionSettings(await getSettings());
+    const [{ logs, locked }, sessions] = await Promise.all([queryLogs(), getMediaSessions()]);
+    if (locked) {
+      return { success: false, error: 'Unlock the encrypted history first' };
     }
-    
-    await chrome.storage.local.set({ logs });
+
+    // Hashing is async, so work out every URL before the write transaction
+    const urls = new Map();
+    for (const url of new Set([...logs, ...sessions].map(item => item.url || ''))) {
+      urls.set(url, await redactUrl(url, redaction));
+    }
+    const redact = item => {
+      const url = urls.has(item.url || '') ? urls.get(item.url || '') : (item.url || '');
+      const pageTitle = redactTitle(item.pageTitle || '', redaction);
+      const changed = url !== (item.url || '') || pageTitle !== (item.pageTitle || '');
+      if (changed) {
+        item.url = url;
+        item.pageTitle = pageTitle;
+      }
+      return changed;
+    };
+
+    const changed = logs.filter(redact);
+    await replaceLogRecords(await prepareLogRecords(changed));
+    const updated = changed.length;
+    await updateMediaSessions(stored => stored.map(redact).some(Boolean));
+    await updateForwardQueue(queue => queue.map(redact).some(Boolean));
+
+    console.log(`[Permission Analyzer] Redacted ${updated} stored logs`);
+    return { success: true, updated };
   } catch (error) {
-    console.error('[Permission Analyzer] Error saving log:', error);
+    console.error('[Permission Analyzer] Error applying redaction:', error);
+    return { success: false, error: error.message };
   }
 }
 
 /**
- * Get all logs from storage
+ * Get policy rules ({ id, pattern, permissionType, decision })
  */
-async function getLogs() {
+async function getPolicyRules() {
   try {
-    const result = await chrome.storage.local.get(['logs']);
-    return result.logs || [];
+    const result = await chrome.storage.local.get(['policyRules']);
+    return result.policyRules || [];
   } catch (error) {
-    console.error('[Permission Analyzer] Error getting logs:', error);
+    console.error('[Permission Analyzer] Error getting policy rules:', error);
     return [];
   }
 }
 
 /**
- * Clear all logs
+ * Add a policy rule, replacing any rule with the same pattern and permission type
  */
-async function clearLogs() {
+async function addPolicyRule(rule) {
   try {
-    await chrome.storage.local.set({ logs: [] });
-    newLogsCount = 0;
-    updateBadge();
-    console.log('[Permission Analyzer] Logs cleared');
+    if (await isSettingLocked('policyRules')) {
+      console.warn('[Permission Analyzer] Policy rules are locked by the managed policy');
+      return null;
+    }
+
+    const pattern = (rule.pattern || '').trim().toLowerCase();
+    const permissionType = rule.permissionType || '*';
+
+    if (!pattern || !POLICY_DECISIONS.includes(rule.decision) ||
+        (permissionType !== '*' && !POLICY_PERMISSION_TYPES.includes(permissionType))) {
+      console.warn('[Permission Analyzer] Invalid policy rule:', rule);
+      return null;
+    }
+
+    const newRule = {
+      id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      pattern,
+      permissionType,
+      decision: rule.decision
+    };
+
+    const rules = (await getPolicyRules()).filter(existing =>
+      !(existing.pattern === pattern && existing.permissionType === permissionType)
+    );
+    rules.push(newRule);
+
+    await chrome.storage.local.set({ policyRules: rules });
+    console.log('[Permission Analyzer] Policy rule added:', newRule);
+    return newRule;
   } catch (error) {
-    console.error('[Permission Analyzer] Error clearing logs:', error);
+    console.error('[Permission Analyzer] Error adding policy rule:', error);
+    return null;
   }
 }
 
 /**
- * Get user settings
+ * Delete a policy rule by ID
  */
-async function getSettings() {
+async function deletePolicyRule(id) {
   try {
-    const result = await chrome.storage.local.get(['settings']);
-    return result.settings || { notificationsEnabled: true };
+    if (await isSettingLocked('policyRules')) {
+      return;
+    }
+    const rules = await getPolicyRules();
+    await chrome.storage.local.set({ policyRules: rules.filter(rule => rule.id !== id) });
   } catch (error) {
-    console.error('[Permission Analyzer] Error getting settings:', error);
-    return { notificationsEnabled: true };
+    console.error('[Permission Analyzer] Error deleting policy rule:', error);
   }
 }
 
 /**
- * Update user settings
+ * Check if a domain matches a rule pattern
+ * Supports exact hosts ("example.com"), subdomain wildcards ("*.example.com") and "*"
  */
-async function updateSettings(newSettings) {
+function matchesDomainPattern(domain, pattern) {
+  if (pattern === '*') {
+    return true;
+  }
+  if (pattern.startsWith('*.')) {
+    const base = pattern.slice(2);
+    return domain === base || domain.endsWith(`.${base}`);
+  }
+  return domain === pattern;
+}
+
+/**
+ * Rank a rule so more specific rules win:
+ * exact host > longer wildcard > shorter wildcard > "*", then a named type > '*'
+ */
+function getRuleSpecificity(rule) {
+  let domainScore = 0;
+  if (rule.pattern.startsWith('*.')) {
+    domainScore = rule.pattern.length;
+  } else if (rule.pattern !== '*') {
+    domainScore = 1000 + rule.pattern.length;
+  }
+  return domainScore * 2 + (rule.permissionType === '*' ? 0 : 1);
+}
+
+/**
+ * Resolve the decision for every permission type on a domain
+ * Returns { camera: 'allow', microphone: 'block', ... }
+ * A managed blocked domain blocks everything, whatever the user's rules say
+ */
+async function resolvePolicy(domain) {
+  const decisions = {};
+  const host = (domain || '').toLowerCase();
+  const [userRules, policy] = await Promise.all([getPolicyRules(), getManagedPolicy()]);
+  const rules = userRules.filter(rule => matchesDomainPattern(host, rule.pattern));
+  const managedBlock = getManagedPolicyRules(policy).some(rule => matchesDomainPattern(host, rule.pattern));
+
+  POLICY_PERMISSION_TYPES.forEach(permissionType => {
+    let best = null;
+    rules.forEach(rule => {
+      if (rule.permissionType !== '*' && rule.permissionType !== permissionType) {
+        return;
+      }
+      if (!best || getRuleSpecificity(rule) > getRuleSpecificity(best)) {
+        best = rule;
+      }
+    });
+    decisions[permissionType] = managedBlock ? 'block' : best ? best.decision : 'allow';
+  });
+
+  return decisions;
+}
+
+/**
+ * NOTIFICATION RULES
+ * Rules ({ id, pattern, permissionType, mode }) pick per domain pattern and
+ * permission type whether to notify 'always', only the 'first-time' a domain
+ * uses a permission type, or 'never'. The most specific rule wins, as with
+ * site policies; without a rule every use notifies. Quiet hours
+ * (settings.quietHours) silence all notifications; events are still logged.
+ */
+const NOTIFICATION_MODES = ['always', 'first-time', 'never'];
+const NOTIFICATION_PERMISSION_TYPES = LOG_PERMISSION_TYPES;
+
+// chrome.notifications priority (-2..2) per type unless overridden in settings.notificationPriorities
+const DEFAULT_NOTIFICATION_PRIORITIES = {
+  'tamper': 2,
+  'camera': 2,
+  'microphone': 2,
+  'screen-capture': 2,
+  'fingerprinting': 0,
+  'clipboard-write': 0,
+  'notifications': 0
+};
+
+/**
+ * Notification priority per type: the defaults with the user's or policy's overrides
+ */
+function getNotificationPriorities(settings) {
+  return { ...DEFAULT_NOTIFICATION_PRIORITIES, ...(settings.notificationPriorities || {}) };
+}
+
+/**
+ * Get notification rules
+ */
+async function getNotificationRules() {
   try {
-    await chrome.storage.local.set({ settings: newSettings });
-    console.log('[Permission Analyzer] Settings updated:', newSettings);
+    const result = await chrome.storage.local.get(['notificationRules']);
+    return result.notificationRules || [];
   } catch (error) {
-    console.error('[Permission Analyzer] Error updating settings:', error);
+    console.error('[Permission Analyzer] Error getting notification rules:', error);
+    return [];
+  }
+}
+
+/**
+ * Pattern, permission type and mode of a user-supplied rule, or null if invalid
+ */
+function normalizeNotificationRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return null;
+  }
+  const pattern = (typeof rule.pattern === 'string' ? rule.pattern : '').trim().toLowerCase();
+  const permissionType = rule.permissionType || '*';
+
+  if (!pattern || !NOTIFICATION_MODES.includes(rule.mode) ||
+      (permissionType !== '*' && !NOTIFICATION_PERMISSION_TYPES.includes(permissionType))) {
+    return null;
+  }
+  return { pattern, permissionType, mode: rule.mode };
+}
+
+/**
+ * Add a notification rule, replacing any rule with the same pattern and permission type
+ */
+async function addNotificationRule(rule) {
+  try {
+    if (await isSettingLocked('notificationRules')) {
+      console.warn('[Permission Analyzer] Notification rules are locked by the managed policy');
+      return null;
+    }
+
+    const normalized = normalizeNotificationRule(rule);
+    if (!normalized) {
+      console.warn('[Permission Analyzer] Invalid notification rule:', rule);
+      return null;
+    }
+    const { pattern, permissionType } = normalized;
+
+    const newRule = {
+      id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      ...normalized
+    };
+
+    const rules = (await getNotificationRules()).filter(existing =>
+      !(existing.pattern === pattern && existing.permissionType === permissionType)
+    );
+    rules.push(newRule);
+
+    await chrome.storage.local.set({ notificationRules: rules });
+    return newRule;
+  } catch (error) {
+    console.error('[Permission Analyzer] Error adding notification rule:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete a notification rule by ID
+ */
+async function deleteNotificationRule(id) {
+  try {
+    if (await isSettingLocked('notificationRules')) {
+      return;
+    }
+    const rules = await getNotificationRules();
+    await chrome.storage.local.set({ notificationRules: rules.filter(rule => rule.id !== id) });
+  } catch (error) {
+    console.error('[Permission Analyzer] Error deleting notification rule:', error);
+  }
+}
+
+/**
+ * Most specific notification rule for a host and permission type (null if none apply)
+ */
+function findNotificationRule(rules, host, permissionType) {
+  let best = null;
+  rules.forEach(rule => {
+    if (!matchesDomainPattern(host, rule.pattern) ||
+        (rule.permissionType !== '*' && rule.permissionType !== permissionType)) {
+      return;
+    }
+    if (!best || getRuleSpecificity(rule) > getRuleSpecificity(best)) {
+      best = rule;
+    }
+  });
+  return best;
+}
+
+/**
+ * Notification mode for a domain and permission type
+ * Any matching managed rule takes precedence over the user's rules
+ */
+async function resolveNotificationMode(domain, permissionType) {
+  const host = (domain || '').toLowerCase();
+  const [rules, policy] = await Promise.all([getNotificationRules(), getManagedPolicy()]);
+  const best = findNotificationRule(getManagedNotificationRules(policy), host, permissionType) ||
+    findNotificationRule(rules, host, permissionType);
+  return best ? best.mode : 'always';
+}
+
+/**
+ * Check whether a time falls in quiet hours ("HH:MM" start/end, may span midnight)
+ */
+function isQuietTime(quietHours, date = new Date()) {
+  if (!quietHours || !quietHours.enabled) {
+    return false;
+  }
+  const toMinutes = time => {
+    const [hours, minutes] = (time || '').split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const now = date.getHours() * 60 + date.getMinutes();
+
+  if (isNaN(start) || isNaN(end) || start === end) {
+    return false;
+  }
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Apply quiet hours and notification rules to a new log entry
+ */
+async function shouldNotify(logEntry, settings) {
+  if (isQuietTime(settings.quietHours)) {
+    return false;
   }
+
+  const mode = await resolveNotificationMode(logEntry.domain, logEntry.permissionType);
+  if (mode === 'never') {
+    return false;
+  }
+  // Sensitive clipboard reads and background access are escalated past "first time only"
+  if (mode === 'first-time' && !isSensitiveClipboardRead(logEntry) && !logEntry.backgroundAccess) {
+    // The entry itself is already saved. While the history is locked there is
+    // nothing to compare with, so stay quiet rather than treat every event as new
+    const { total, locked } = await queryLogs({ domain: logEntry.domain, permissionType: logEntry.permissionType });
+    return !locked && total <= 1;
+  }
+  return true;
+}
+
+/**
+ * Camera, microphone and location use that starts while the page is hidden
+ * (a background tab, minimized window or locked screen) is what a user can't
+ * see happening, so it gets a sticky high-priority alert
+ */
+const BACKGROUND_ACCESS_TYPES = ['camera', 'microphone', 'location'];
+const BACKGROUND_ACCESS_ACTIONS = ['accessed', 'active'];
+
+function isBackgroundAccess(logEntry) {
+  return logEntry.isVisible === false &&
+    BACKGROUND_ACCESS_TYPES.includes(logEntry.permissionType) &&
+    BACKGROUND_ACCESS_ACTIONS.includes(logEntry.action);
+}
+
+/**
+ * Readable names for the clipboard categories injected.js reports
+ */
+const CLIPBOARD_CATEGORY_LABELS = {
+  'password': 'a password-like string',
+  'credit-card': 'a credit card number',
+  'iban': 'an IBAN',
+  'one-time-code': 'a one-time code',
+  'email': 'an email address',
+  'url': 'a URL',
+  'image': 'an image',
+  'text': 'text'
+};
+
+/**
+ * A clipboard read classified as password, card, IBAN or one-time code
+ */
+function isSensitiveClipboardRead(logEntry) {
+  return logEntry.permissionType === 'clipboard-read' &&
+    logEntry.action === 'accessed' &&
+    (logEntry.metadata || {}).sensitivity === 'high';
+}
+
+/**
+ * Notification IDs carry the domain, permission type and action so button
+ * clicks still work after the service worker restarts
+ */
+function getPermissionNotificationId(logEntry) {
+  return ['permission', logEntry.permissionType, logEntry.domain, logEntry.action, logEntry.id]
+    .map(encodeURIComponent)
+    .join(':');
+}
+
+function parsePermissionNotificationId(notificationId) {
+  const [prefix, permissionType, domain, action] = notificationId.split(':').map(decodeURIComponent);
+  return prefix === 'permission' ? { permissionType, domain, action } : null;
+}
+
+/**
+ * Buttons for a permission notification; blocked events cannot be blocked again
+ */
+function getNotificationButtons(action) {
+  return action === 'blocked' ? ['open'] : ['block', 'open'];
+}
+
+/**
+ * Open the dashboard's detail view for a domain
+ */
+function openDomainInDashboard(domain) {
+  chrome.tabs.create({
+    url: chrome.runtime.getURL(`dashboard/dashboard.html#domain=${encodeURIComponent(domain)}`)
+  });
 }
 
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  const context = parsePermissionNotificationId(notificationId);
+  if (!context) {
+    return;
+  }
+
+  chrome.notifications.clear(notificationId);
+
+  const button = getNotificationButtons(context.action)[buttonIndex];
+  if (button === 'block') {
+    const rule = await addPolicyRule({ pattern: context.domain, permissionType: '*', decision: 'block' });
+    if (rule) {
+      console.log(`[Permission Analyzer] Blocked ${context.domain} from a notification`);
+    }
+  } else if (button === 'open') {
+    openDomainInDashboard(context.domain);
+  }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const context = parsePermissionNotificationId(notificationId);
+  if (context) {
+    openDomainInDashboard(context.domain);
+    chrome.notifications.clear(notificationId);
+  }
+});
+
 /**
  * Show desktop notification (with spam protection)
  */
 const notificationTracker = new Map();
 const NOTIFICATION_COOLDOWN = 3000; // 3 seconds between same notifications
 
-function showNotification(logEntry) {
+function showNotification(logEntry, settings = {}) {
   const permissionIcons = {
     'camera': '📷',
     'microphone': '🎤',
+    'screen-capture': '🖥️',
     'location': '📍',
     'clipboard-read': '📋',
     'clipboard-write': '📋',
-    'notifications': '🔔'
+    'notifications': '🔔',
+    'usb': '🔌',
+    'hid': '🎮',
+    'serial': '🔗',
+    'bluetooth': '📶',
+    'midi': '🎹',
+    'fingerprinting': '🕵️',
+    'tamper': '⚠️'
   };
 
   const icon = permissionIcons[logEntry.permissionType] || '🔒';
   const permissionName = logEntry.permissionType.replace('-', ' ').toUpperCase();
+  const isBlocked = logEntry.action === 'blocked';
+  const isSensitive = isSensitiveClipboardRead(logEntry);
   
   // Create unique key for this notification type + domain
-  const notificationKey = `${logEntry.permissionType}-${logEntry.domain}`;
+  const notificationKey = `${logEntry.permissionType}-${logEntry.action}-${logEntry.domain}`;
   const now = Date.now();
   
   // Check if we recently showed this exact notification
@@ -202,14 +3351,33 @@ function showNotification(logEntry) {
     }
   }
   
+  const priorities = getNotificationPriorities(settings);
+  const buttonTitles = { block: 'Block this site', open: 'Open in dashboard' };
+  
+  let title = isBlocked ? `${icon} Permission Blocked` : `${icon} Permission Used`;
+  let message = isBlocked
+    ? `${permissionName} blocked on ${logEntry.domain}`
+    : `${permissionName} accessed by ${logEntry.domain}`;
+  if (isSensitive) {
+    const categories = (logEntry.metadata.categories || [])
+      .map(category => CLIPBOARD_CATEGORY_LABELS[category] || category);
+    title = `${icon} Sensitive Clipboard Read`;
+    message = `${logEntry.domain} read ${categories.join(', ')} from your clipboard`;
+  }
+  if (logEntry.backgroundAccess) {
+    title = `${icon} Hidden Tab Access`;
+    message = `${permissionName} used by ${logEntry.domain} while its tab was hidden`;
+  }
+  
   // Show notification
-  chrome.notifications.create({
+  chrome.notifications.create(getPermissionNotificationId(logEntry), {
     type: 'basic',
     iconUrl: 'icons/icon128.png',
-    title: `${icon} Permission Used`,
-    message: `${permissionName} accessed by ${logEntry.domain}`,
-    priority: 1,
-    requireInteraction: false, // Auto-dismiss
+    title,
+    message,
+    priority: isSensitive || logEntry.backgroundAccess ? 2 : (priorities[logEntry.permissionType] ?? 1),
+    buttons: getNotificationButtons(logEntry.action).map(button => ({ title: buttonTitles[button] })),
+    requireInteraction: !!logEntry.backgroundAccess, // Background access stays until dismissed
     silent: false
   });
 }
@@ -239,19 +3407,31 @@ chrome.runtime.onInstalled.addListener(() => {
   console.log('[Permission Analyzer] Extension installed');
   
   // Initialize storage if first install
-  chrome.storage.local.get(['logs', 'settings'], (result) => {
-    if (!result.logs) {
-      chrome.storage.local.set({ logs: [] });
+  chrome.storage.local.get(['settings', 'policyRules', 'notificationRules', 'mediaSessions'], (result) => {
+    if (!result.notificationRules) {
+      chrome.storage.local.set({ notificationRules: [] });
+    }
+    if (!result.mediaSessions) {
+      chrome.storage.local.set({ mediaSessions: [] });
+    }
+    if (!result.policyRules) {
+      chrome.storage.local.set({ policyRules: [] });
     }
     if (!result.settings) {
       chrome.storage.local.set({ 
         settings: { 
-          notificationsEnabled: true 
+          notificationsEnabled: true,
+          digestFrequency: 'off'
         } 
       });
     }
   });
   
+  // Create the log database (and migrate any legacy logs)
+  openLogDatabase().catch(error => {
+    console.error('[Permission Analyzer] Error opening log database:', error);
+  });
+  
   // Initialize badge
   chrome.action.setBadgeText({ text: '' });
 });
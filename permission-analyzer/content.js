@@ -8,28 +8,125 @@
   'use strict';
 
   // ============================================================
-  // INJECT PAGE-CONTEXT SCRIPT
+  // PAGE-CONTEXT HANDSHAKE
+  // injected.js runs in the page's world at document_start, before
+  // any page script. The secret is handed over with one synchronous
+  // event, so no page script is around to see it.
   // ============================================================
   
-  const script = document.createElement('script');
-  script.src = chrome.runtime.getURL('injected.js');
-  script.onload = function() {
-    this.remove(); // Clean up after injection
+  // Per-injection secret: events are only trusted on names derived from it
+  const channelBytes = new Uint8Array(16);
+  crypto.getRandomValues(channelBytes);
+  const channelId = Array.from(channelBytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  
+  const CHANNEL = {
+    detected: `PERMISSION_DETECTED_${channelId}`,
+    policy: `PERMISSION_POLICY_${channelId}`,
+    state: `PERMISSION_STATE_${channelId}`
+  };
+  
+  const HANDSHAKE = {
+    connect: 'PERMISSION_ANALYZER_CONNECT', // content.js -> injected.js, carries the secret
+    request: 'PERMISSION_ANALYZER_REQUEST' // injected.js -> content.js, if it started second
   };
-  (document.head || document.documentElement).appendChild(script);
+  
+  /**
+   * Hand the secret to injected.js; true once it has taken it (it cancels the event)
+   */
+  function connectPageScript() {
+    const event = new CustomEvent(HANDSHAKE.connect, { detail: channelId, cancelable: true });
+    return !window.dispatchEvent(event);
+  }
+  
+  // Whichever script starts second completes the handshake, and only once
+  if (!connectPageScript()) {
+    window.addEventListener(HANDSHAKE.request, function onRequest() {
+      window.removeEventListener(HANDSHAKE.request, onRequest);
+      connectPageScript();
+    });
+  }
 
   // ============================================================
   // MESSAGE FORWARDING
   // ============================================================
   
+  window.addEventListener(CHANNEL.detected, function(event) {
+    forwardPermissionEvent(event.detail);
+  });
+  
+  // Live state for the toolbar indicator - forwarded, never logged
+  window.addEventListener(CHANNEL.state, function(event) {
+    const detail = event.detail || {};
+    chrome.runtime.sendMessage({
+      type: 'LIVE_STATE',
+      locationWatchers: Number(detail.locationWatchers) || 0
+    }).catch(err => {
+      console.debug('[Permission Analyzer] Send failed:', err.message);
+    });
+  });
+  
+  // injected.js never uses the public event name, so anything on it is forged
+  const FORGED_EVENT_REPORT_INTERVAL = 5000;
+  let lastForgedEventReport = 0;
+  
   window.addEventListener('PERMISSION_DETECTED', function(event) {
-    const data = event.detail;
+    const now = Date.now();
+    if (now - lastForgedEventReport < FORGED_EVENT_REPORT_INTERVAL) {
+      return;
+    }
+    lastForgedEventReport = now;
     
+    const claimed = event.detail || {};
+    forwardPermissionEvent({
+      permissionType: 'tamper',
+      action: 'forged-event',
+      metadata: { claimedType: String(claimed.permissionType || 'unknown') }
+    });
+  });
+  
+  /**
+   * Hostname the frame's events and policy belong to
+   * about:blank, srcdoc and blob: frames have no hostname of their own and
+   * run with the origin of the page that created them
+   */
+  function getPageHost() {
+    if (window.location.hostname) {
+      return window.location.hostname;
+    }
+    const ancestors = window.location.ancestorOrigins;
+    const origin = window.origin !== 'null' ? window.origin : (ancestors && ancestors[0]);
+    try {
+      return new URL(origin).hostname;
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Describe where this frame sits in the tab
+   * ancestorOrigins lists the parent chain up to the top-level page, even cross-origin
+   */
+  function getFrameInfo() {
+    const ancestors = window.location.ancestorOrigins;
+    const frameDepth = ancestors ? ancestors.length : (window === window.top ? 0 : 1);
+    
+    return {
+      frameOrigin: window.origin,
+      topOrigin: frameDepth > 0 && ancestors ? ancestors[ancestors.length - 1] : window.origin,
+      frameDepth
+    };
+  }
+  
+  /**
+   * Build a log entry from an injected.js event and send it to the background
+   */
+  function forwardPermissionEvent(data) {
     // Build comprehensive log entry
     const logData = {
       permissionType: data.permissionType,
-      domain: window.location.hostname,
+      domain: getPageHost(),
       url: window.location.href,
+      ...getFrameInfo(),
       timestamp: new Date().toISOString(),
       action: data.action,
       metadata: data.metadata || {},
@@ -45,12 +142,47 @@
       // Silently handle errors (extension may be reloading)
       console.debug('[Permission Analyzer] Send failed:', err.message);
     });
+  }
+
+  // ============================================================
+  // POLICY PUSH-DOWN
+  // ============================================================
+  
+  let currentDecisions = {};
+
+  function dispatchPolicy() {
+    window.dispatchEvent(new CustomEvent(CHANNEL.policy, {
+      detail: { decisions: currentDecisions }
+    }));
+  }
+
+  function loadPolicy() {
+    chrome.runtime.sendMessage({
+      type: 'GET_POLICY',
+      domain: getPageHost()
+    }).then(response => {
+      currentDecisions = (response && response.decisions) || {};
+      dispatchPolicy();
+    }).catch(err => {
+      console.debug('[Permission Analyzer] Policy load failed:', err.message);
+      // Release calls injected.js is holding, under the last known policy
+      dispatchPolicy();
+    });
+  }
+
+  // Re-resolve when rules are edited in the dashboard or the managed policy changes
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if ((areaName === 'local' && changes.policyRules) || (areaName === 'managed' && changes.blockedDomains)) {
+      loadPolicy();
+    }
   });
 
+  loadPolicy();
+
   // ============================================================
   // INITIALIZATION
   // ============================================================
   
-  console.log('[Permission Analyzer] Content script active on:', window.location.hostname);
+  console.log('[Permission Analyzer] Content script active on:', getPageHost());
   
 })();
\ No newline at end of file
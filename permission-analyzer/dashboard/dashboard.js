@@ -4,112 +4,353 @@
 const totalLogsEl = document.getElementById('total-logs');
 const cameraLogsEl = document.getElementById('camera-logs');
 const micLogsEl = document.getElementById('mic-logs');
+const screenLogsEl = document.getElementById('screen-logs');
 const locationLogsEl = document.getElementById('location-logs');
 const clipboardLogsEl = document.getElementById('clipboard-logs');
 const notificationLogsEl = document.getElementById('notification-logs');
+const deviceLogsEl = document.getElementById('device-logs');
+const fingerprintLogsEl = document.getElementById('fingerprint-logs');
+const tamperLogsEl = document.getElementById('tamper-logs');
+const blockedLogsEl = document.getElementById('blocked-logs');
+const deniedLogsEl = document.getElementById('denied-logs');
+const requestsTbody = document.getElementById('requests-tbody');
+const riskTbody = document.getElementById('risk-tbody');
+const sessionTotalsTbody = document.getElementById('session-totals-tbody');
+const sessionsTbody = document.getElementById('sessions-tbody');
 const logsTbody = document.getElementById('logs-tbody');
+const prevPageBtn = document.getElementById('prev-page');
+const nextPageBtn = document.getElementById('next-page');
+const pageInfoEl = document.getElementById('page-info');
 const filterPermission = document.getElementById('filter-permission');
 const searchDomain = document.getElementById('search-domain');
+const filterOrigin = document.getElementById('filter-origin');
+const filterThirdParty = document.getElementById('filter-third-party');
+const filterHidden = document.getElementById('filter-hidden');
+const groupBySelect = document.getElementById('group-by');
 const resetFiltersBtn = document.getElementById('reset-filters');
 const exportCsvBtn = document.getElementById('export-csv');
 const exportMdBtn = document.getElementById('export-md');
+const exportJsonBtn = document.getElementById('export-json');
+const exportNdjsonBtn = document.getElementById('export-ndjson');
+const exportCefBtn = document.getElementById('export-cef');
+const exportSyslogBtn = document.getElementById('export-syslog');
+const importJsonBtn = document.getElementById('import-json');
+const importFileInput = document.getElementById('import-file');
 const clearAllBtn = document.getElementById('clear-all');
+const viewDigestsBtn = document.getElementById('view-digests');
+const policyPatternInput = document.getElementById('policy-pattern');
+const policyPermissionSelect = document.getElementById('policy-permission');
+const policyDecisionSelect = document.getElementById('policy-decision');
+const addPolicyBtn = document.getElementById('add-policy');
+const policyTbody = document.getElementById('policy-tbody');
+const notifyPatternInput = document.getElementById('notify-pattern');
+const notifyPermissionSelect = document.getElementById('notify-permission');
+const notifyModeSelect = document.getElementById('notify-mode');
+const addNotifyRuleBtn = document.getElementById('add-notify-rule');
+const notifyTbody = document.getElementById('notify-tbody');
+const quietEnabledInput = document.getElementById('quiet-enabled');
+const quietStartInput = document.getElementById('quiet-start');
+const quietEndInput = document.getElementById('quiet-end');
+const saveNotificationSettingsBtn = document.getElementById('save-notification-settings');
+const priorityGridEl = document.getElementById('priority-grid');
+const forwarderStatusEl = document.getElementById('forwarder-status');
+const forwarderStatusTextEl = document.getElementById('forwarder-status-text');
+const forwarderEnabledInput = document.getElementById('forwarder-enabled');
+const forwarderTransportSelect = document.getElementById('forwarder-transport');
+const forwarderEndpointGroup = document.getElementById('forwarder-endpoint-group');
+const forwarderEndpointInput = document.getElementById('forwarder-endpoint');
+const forwarderHostGroup = document.getElementById('forwarder-host-group');
+const forwarderHostInput = document.getElementById('forwarder-host');
+const saveForwarderBtn = document.getElementById('save-forwarder');
+const retryForwarderBtn = document.getElementById('retry-forwarder');
+const forwarderDetailsEl = document.getElementById('forwarder-details');
+const redactionUrlModeSelect = document.getElementById('redaction-url-mode');
+const redactionParamsGroup = document.getElementById('redaction-params-group');
+const redactionStripParamsInput = document.getElementById('redaction-strip-params');
+const redactionTitleModeSelect = document.getElementById('redaction-title-mode');
+const redactionLengthGroup = document.getElementById('redaction-length-group');
+const redactionTitleLengthInput = document.getElementById('redaction-title-length');
+const saveRedactionBtn = document.getElementById('save-redaction');
+const retentionDaysSelect = document.getElementById('retention-days');
+const saveRetentionBtn = document.getElementById('save-retention');
+const unlockBanner = document.getElementById('unlock-banner');
+const unlockQueuedEl = document.getElementById('unlock-queued');
+const unlockSecretInput = document.getElementById('unlock-secret');
+const unlockHistoryBtn = document.getElementById('unlock-history');
+const unlockErrorEl = document.getElementById('unlock-error');
+const encryptionStateEl = document.getElementById('encryption-state');
+const encryptionOffForm = document.getElementById('encryption-off-form');
+const encryptionPassphraseInput = document.getElementById('encryption-passphrase');
+const encryptionConfirmInput = document.getElementById('encryption-confirm');
+const enableEncryptionBtn = document.getElementById('enable-encryption');
+const encryptionOnForm = document.getElementById('encryption-on-form');
+const encryptionCurrentInput = document.getElementById('encryption-current');
+const encryptionNewInput = document.getElementById('encryption-new');
+const changePassphraseBtn = document.getElementById('change-passphrase');
+const lockHistoryBtn = document.getElementById('lock-history');
+const disableEncryptionBtn = document.getElementById('disable-encryption');
+const discardEncryptedBtn = document.getElementById('discard-encrypted');
+const recoveryKeyBox = document.getElementById('recovery-key-box');
+const recoveryKeyEl = document.getElementById('recovery-key');
+const applyRedactionBtn = document.getElementById('apply-redaction');
+const overviewView = document.getElementById('overview-view');
+const domainView = document.getElementById('domain-view');
+const domainNameEl = document.getElementById('domain-name');
+const domainFirstSeenEl = document.getElementById('domain-first-seen');
+const domainLastSeenEl = document.getElementById('domain-last-seen');
+const domainEventCountEl = document.getElementById('domain-event-count');
+const domainRiskEl = document.getElementById('domain-risk');
+const domainBreakdownEl = document.getElementById('domain-breakdown');
+const domainPagesTbody = document.getElementById('domain-pages-tbody');
+const domainMediaTbody = document.getElementById('domain-media-tbody');
+const domainTimelineTbody = document.getElementById('domain-timeline-tbody');
+const clearDomainBtn = document.getElementById('clear-domain');
+const chartBucketSelect = document.getElementById('chart-bucket');
+const timelineChartEl = document.getElementById('timeline-chart');
+const timelineLegendEl = document.getElementById('timeline-legend');
+const heatmapChartEl = document.getElementById('heatmap-chart');
+const topDomainsChartEl = document.getElementById('top-domains-chart');
+
+// Refusals on a domain before it is flagged as nagging
+const NAGGING_THRESHOLD = 3;
+
+// Number of domains in the riskiest sites ranking
+const MAX_RISK_ROWS = 20;
+
+// Number of individual sessions listed below the per-domain totals
+const MAX_SESSIONS_SHOWN = 50;
+
+// Rows per page in the activity log table
+const LOGS_PAGE_SIZE = 100;
+
+// Chart series colors, in stacking order (matches the permission badges)
+const CHART_COLORS = {
+  'camera': '#fca5a5',
+  'microphone': '#fcd34d',
+  'screen-capture': '#f9a8d4',
+  'location': '#6ee7b7',
+  'clipboard-read': '#93c5fd',
+  'clipboard-write': '#60a5fa',
+  'notifications': '#c4b5fd',
+  'usb': '#5eead4',
+  'hid': '#2dd4bf',
+  'serial': '#14b8a6',
+  'bluetooth': '#99f6e4',
+  'midi': '#0d9488',
+  'fingerprinting': '#cbd5e1',
+  'tamper': '#fbbf24'
+};
+
+// Buckets shown in the activity chart, ending with the current one
+const CHART_BUCKET_COUNTS = { hour: 48, day: 30, week: 26 };
+
+// Domains listed under each permission in the top domains chart
+const TOP_DOMAINS_PER_PERMISSION = 5;
+
+const NOTIFICATION_MODE_LABELS = {
+  'always': 'Always',
+  'first-time': 'First time only',
+  'never': 'Never'
+};
+
+// Identifies JSON exports; bump the version when the file layout changes
+const EXPORT_FORMAT = 'permission-analyzer-export';
+const EXPORT_SCHEMA_VERSION = 1;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Tooltip on controls locked by the enterprise policy
+const MANAGED_TITLE = "Managed by your organization's policy";
 
 // Global variables
-let allLogs = [];
-let filteredLogs = [];
+let logStats = { total: 0, byType: {}, byAction: {} };
+let logSummary = createEmptySummary();
+let currentPage = 0;
+let allSessions = [];
+let currentDomain = null;
+let lockedKeys = [];
 
 // Initialize dashboard
 document.addEventListener('DOMContentLoaded', () => {
   loadLogs();
+  loadRiskScores();
+  loadMediaSessions();
+  loadPolicyRules();
+  loadNotificationRules();
+  loadNotificationSettings();
+  loadForwarder();
+  loadRedactionSettings();
+  loadRetentionSettings();
+  loadEncryptionStatus();
+  loadManagedState();
   setupEventListeners();
+  handleRoute();
 });
 
-// Load logs from storage
-
+/**
+ * Load the statistics cards, charts and first page of logs
+ * The full history is only fetched for exports
+ */
 async function loadLogs() {
   try {
-    const response = await chrome.runtime.sendMessage({ type: 'GET_LOGS' });
-    allLogs = response.logs || [];
-    filteredLogs = [...allLogs];
-    
-    updateStats();
-    displayLogs();
+    logStats = await chrome.runtime.sendMessage({ type: 'GET_LOG_STATS' });
   } catch (error) {
-    console.error('Error loading logs:', error);
-    logsTbody.innerHTML = '<tr><td colspan="5" class="no-data">Error loading logs</td></tr>';
+    console.error('Error loading log stats:', error);
   }
+  updateStats();
+  loadLogSummary();
+  loadLogPage();
+}
+
+/**
+ * Summary with nothing counted, used before the first load
+ */
+function createEmptySummary() {
+  return {
+    total: 0,
+    byHour: {},
+    heatmap: DAY_NAMES.map(() => new Array(24).fill(0)),
+    topDomains: {},
+    requests: { domain: {}, topDomain: {} }
+  };
+}
+
+/**
+ * Fetch chart and request data for the current filters and redraw them
+ */
+async function loadLogSummary() {
+  try {
+    logSummary = await chrome.runtime.sendMessage({
+      type: 'GET_LOG_SUMMARY',
+      query: getFilterQuery(),
+      options: { hourlySince: getTimelineStart(), topDomains: TOP_DOMAINS_PER_PERMISSION }
+    });
+  } catch (error) {
+    console.error('Error loading log summary:', error);
+    logSummary = createEmptySummary();
+  }
+  displayRequestBreakdown();
+  displayCharts();
 }
 
 /**
  * Update statistics cards
  */
 function updateStats() {
-  const counts = {
-    total: allLogs.length,
-    camera: 0,
-    microphone: 0,
-    location: 0,
-    clipboard: 0,
-    notifications: 0
+  const byType = logStats.byType || {};
+  const byAction = logStats.byAction || {};
+  const count = (...types) => types.reduce((sum, type) => sum + (byType[type] || 0), 0);
+  
+  totalLogsEl.textContent = logStats.total || 0;
+  cameraLogsEl.textContent = count('camera');
+  micLogsEl.textContent = count('microphone');
+  screenLogsEl.textContent = count('screen-capture');
+  locationLogsEl.textContent = count('location');
+  clipboardLogsEl.textContent = count('clipboard-read', 'clipboard-write');
+  notificationLogsEl.textContent = count('notifications');
+  deviceLogsEl.textContent = count('usb', 'hid', 'serial', 'bluetooth', 'midi');
+  fingerprintLogsEl.textContent = count('fingerprinting');
+  tamperLogsEl.textContent = count('tamper');
+  blockedLogsEl.textContent = byAction.blocked || 0;
+  deniedLogsEl.textContent = (byAction.denied || 0) + (byAction.failed || 0);
+}
+
+/**
+ * Background query for the current filters (shared by the paged table,
+ * the charts and the request breakdown)
+ */
+function getFilterQuery() {
+  const query = {
+    domainSearch: searchDomain.value.trim(),
+    domainField: filterOrigin.value,
+    thirdPartyOnly: filterThirdParty.checked,
+    hiddenOnly: filterHidden.checked
+  };
+  if (filterPermission.value !== 'all') {
+    query.permissionType = filterPermission.value;
+  }
+  return query;
+}
+
+/**
+ * Query the current page of logs matching the filters
+ */
+async function loadLogPage() {
+  const query = {
+    ...getFilterQuery(),
+    offset: currentPage * LOGS_PAGE_SIZE,
+    limit: LOGS_PAGE_SIZE
   };
   
-  allLogs.forEach(log => {
-    switch (log.permissionType) {
-      case 'camera':
-        counts.camera++;
-        break;
-      case 'microphone':
-        counts.microphone++;
-        break;
-      case 'location':
-        counts.location++;
-        break;
-      case 'clipboard-read':
-      case 'clipboard-write':
-        counts.clipboard++;
-        break;
-      case 'notifications':
-        counts.notifications++;
-        break;
-    }
-  });
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'QUERY_LOGS', query });
+    displayLogs(response.logs || []);
+    updatePagination(response.total || 0);
+  } catch (error) {
+    console.error('Error loading logs:', error);
+    logsTbody.innerHTML = '<tr><td colspan="6" class="no-data">Error loading logs</td></tr>';
+  }
+}
+
+/**
+ * Update the page counter and prev/next buttons
+ */
+function updatePagination(total) {
+  const first = total === 0 ? 0 : currentPage * LOGS_PAGE_SIZE + 1;
+  const last = Math.min((currentPage + 1) * LOGS_PAGE_SIZE, total);
   
-  totalLogsEl.textContent = counts.total;
-  cameraLogsEl.textContent = counts.camera;
-  micLogsEl.textContent = counts.microphone;
-  locationLogsEl.textContent = counts.location;
-  clipboardLogsEl.textContent = counts.clipboard;
-  notificationLogsEl.textContent = counts.notifications;
+  pageInfoEl.textContent = `Showing ${first}–${last} of ${total}`;
+  prevPageBtn.disabled = currentPage === 0;
+  nextPageBtn.disabled = last >= total;
+}
+
+/**
+ * Change page by +1 / -1
+ */
+function changePage(delta) {
+  currentPage = Math.max(0, currentPage + delta);
+  loadLogPage();
 }
 
 /**
  * Display logs in table
  */
-function displayLogs() {
-  if (filteredLogs.length === 0) {
-    logsTbody.innerHTML = '<tr><td colspan="5" class="no-data">No logs match your filters</td></tr>';
+function displayLogs(logs) {
+  if (logs.length === 0) {
+    logsTbody.innerHTML = '<tr><td colspan="6" class="no-data">No logs match your filters</td></tr>';
     return;
   }
   
   logsTbody.innerHTML = '';
   
-  filteredLogs.forEach(log => {
+  logs.forEach(log => {
     const row = document.createElement('tr');
+    if (log.permissionType === 'tamper') {
+      row.className = 'tamper-row';
+    } else if (log.action === 'blocked') {
+      row.className = 'blocked-row';
+    } else if (log.action === 'denied' || log.action === 'failed') {
+      row.className = 'denied-row';
+    } else if (log.backgroundAccess) {
+      row.className = 'background-row';
+    } else if (isSensitiveClipboardRead(log)) {
+      row.className = 'sensitive-row';
+    }
     
     const permissionIcon = getPermissionIcon(log.permissionType);
     const permissionName = formatPermissionName(log.permissionType);
     
     row.innerHTML = `
       <td>
-        <span class="permission-badge ${log.permissionType}">
-          ${permissionIcon} ${permissionName}
+        <span class="permission-badge ${escapeHtml(log.permissionType)}">
+          ${permissionIcon} ${escapeHtml(permissionName)}
         </span>
       </td>
-      <td class="domain-cell">${escapeHtml(log.domain)}</td>
-      <td class="action-cell">${escapeHtml(log.action)}</td>
-      <td class="timestamp-cell">${log.dateFormatted}</td>
+      <td class="domain-cell">${formatDomainCell(log)}</td>
+      <td class="action-cell">${formatAction(log)}</td>
+      <td class="timestamp-cell">${escapeHtml(log.dateFormatted)}</td>
       <td class="url-cell" title="${escapeHtml(log.url)}">${escapeHtml(log.url)}</td>
+      <td class="details-cell">${escapeHtml(formatMetadata(log.metadata))}</td>
     `;
     
     logsTbody.appendChild(row);
@@ -117,209 +358,1783 @@ function displayLogs() {
 }
 
 /**
- * Apply filters
+ * Display attempts vs. granted per domain for the filtered logs
+ * (counted in background.js)
+ * Domains with repeated refusals are flagged as nagging
  */
-function applyFilters() {
-  const permissionFilter = filterPermission.value;
-  const domainSearch = searchDomain.value.toLowerCase().trim();
+function displayRequestBreakdown() {
+  const byDomain = new Map(Object.entries(logSummary.requests[groupBySelect.value] || {}));
   
-  filteredLogs = allLogs.filter(log => {
-    // Permission type filter
-    if (permissionFilter !== 'all' && log.permissionType !== permissionFilter) {
-      return false;
-    }
+  if (byDomain.size === 0) {
+    requestsTbody.innerHTML = '<tr><td colspan="7" class="no-data">No permission requests</td></tr>';
+    return;
+  }
+  
+  requestsTbody.innerHTML = '';
+  
+  Array.from(byDomain.entries())
+    .sort((a, b) => b[1].attempts - a[1].attempts)
+    .forEach(([domain, stats]) => {
+      const row = document.createElement('tr');
+      if (stats.denied + stats.failed + stats.blocked >= NAGGING_THRESHOLD) {
+        row.className = 'nagging-row';
+      }
+      
+      const grantRate = Math.round((stats.granted / stats.attempts) * 100);
+      
+      row.innerHTML = `
+        <td class="domain-cell">${formatDomainLink(domain)}</td>
+        <td>${stats.attempts}</td>
+        <td>${stats.granted}</td>
+        <td>${stats.denied}</td>
+        <td>${stats.failed}</td>
+        <td>${stats.blocked}</td>
+        <td>${grantRate}%</td>
+      `;
+      
+      requestsTbody.appendChild(row);
+    });
+}
+
+/**
+ * Load per-domain risk scores (computed in background.js)
+ */
+async function loadRiskScores() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_RISK_SCORES' });
+    displayRiskScores(response.scores || []);
+  } catch (error) {
+    console.error('Error loading risk scores:', error);
+    riskTbody.innerHTML = '<tr><td colspan="7" class="no-data">Error loading risk scores</td></tr>';
+  }
+}
+
+/**
+ * Display the riskiest sites ranking
+ */
+function displayRiskScores(scores) {
+  if (scores.length === 0) {
+    riskTbody.innerHTML = '<tr><td colspan="7" class="no-data">No permission usage to score</td></tr>';
+    return;
+  }
+  
+  riskTbody.innerHTML = '';
+  
+  scores.slice(0, MAX_RISK_ROWS).forEach((risk, index) => {
+    const row = document.createElement('tr');
+    const factorSummary = Object.entries(risk.factors)
+      .map(([factor, points]) => `${factor}: ${points}`)
+      .join(', ');
     
-    // Domain search filter
-    if (domainSearch && !log.domain.toLowerCase().includes(domainSearch)) {
-      return false;
-    }
+    row.innerHTML = `
+      <td>${index + 1}</td>
+      <td class="domain-cell">${formatDomainLink(risk.domain)}</td>
+      <td>
+        <div class="risk-bar" title="${escapeHtml(factorSummary)}">
+          <div class="risk-bar-track">
+            <div class="risk-bar-fill ${risk.level}" style="width: ${risk.score}%"></div>
+          </div>
+          <span>${risk.score}</span>
+        </div>
+      </td>
+      <td><span class="risk-level ${risk.level}">${risk.level}</span></td>
+      <td>${risk.permissionTypes.map(getPermissionIcon).join(' ')}</td>
+      <td>${risk.eventCount}</td>
+      <td class="timestamp-cell">${new Date(risk.lastSeen).toLocaleString()}</td>
+    `;
     
-    return true;
+    riskTbody.appendChild(row);
   });
-  
-  displayLogs();
 }
 
 /**
- * Reset filters
+ * Load camera/microphone/screen sessions
  */
-function resetFilters() {
-  filterPermission.value = 'all';
-  searchDomain.value = '';
-  filteredLogs = [...allLogs];
-  displayLogs();
+async function loadMediaSessions() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_MEDIA_SESSIONS' });
+    allSessions = response.sessions || [];
+    displayMediaSessions();
+  } catch (error) {
+    console.error('Error loading media sessions:', error);
+    sessionsTbody.innerHTML = '<tr><td colspan="7" class="no-data">Error loading sessions</td></tr>';
+  }
 }
 
 /**
- * Export logs as CSV
+ * Display per-domain session totals and the most recent sessions
+ * Open sessions count up to now
  */
-function exportAsCSV() {
-  if (allLogs.length === 0) {
-    alert('No logs to export');
+function displayMediaSessions() {
+  const now = Date.now();
+  const sessions = allSessions.filter(matchesFilters);
+  
+  if (sessions.length === 0) {
+    sessionTotalsTbody.innerHTML = '<tr><td colspan="6" class="no-data">No sessions recorded</td></tr>';
+    sessionsTbody.innerHTML = '<tr><td colspan="7" class="no-data">No sessions recorded</td></tr>';
     return;
   }
   
-  // CSV Header
-  let csv = 'Timestamp,Domain,URL,Permission Type,Action\n';
+  // Per-domain totals
+  const totals = new Map();
+  sessions.forEach(session => {
+    if (!totals.has(session.domain)) {
+      totals.set(session.domain, { 'camera': 0, 'microphone': 0, 'screen-capture': 0, sessions: 0, live: 0 });
+    }
+    const domainTotals = totals.get(session.domain);
+    domainTotals[session.permissionType] += getSessionDuration(session, now) || 0;
+    domainTotals.sessions++;
+    if (!session.endReason) {
+      domainTotals.live++;
+    }
+  });
   
-  // CSV Rows
-  allLogs.forEach(log => {
-    const row = [
-      `"${log.dateFormatted}"`,
-      `"${log.domain}"`,
-      `"${log.url}"`,
-      `"${log.permissionType}"`,
-      `"${log.action}"`
-    ].join(',');
+  sessionTotalsTbody.innerHTML = '';
+  Array.from(totals.entries())
+    .sort((a, b) => (b[1].camera + b[1].microphone + b[1]['screen-capture']) -
+                    (a[1].camera + a[1].microphone + a[1]['screen-capture']))
+    .forEach(([domain, domainTotals]) => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td class="domain-cell">${formatDomainLink(domain)}</td>
+        <td>${formatDuration(domainTotals.camera)}</td>
+        <td>${formatDuration(domainTotals.microphone)}</td>
+        <td>${formatDuration(domainTotals['screen-capture'])}</td>
+        <td>${domainTotals.sessions}</td>
+        <td>${domainTotals.live > 0 ? `<span class="live-indicator">● ${domainTotals.live}</span>` : '—'}</td>
+      `;
+      sessionTotalsTbody.appendChild(row);
+    });
+  
+  // Individual sessions (most recent first)
+  sessionsTbody.innerHTML = '';
+  sessions.slice(0, MAX_SESSIONS_SHOWN).forEach(session => {
+    const row = document.createElement('tr');
+    const duration = getSessionDuration(session, now);
+    const durationText = session.endReason
+      ? (duration === null ? 'Unknown' : formatDuration(duration))
+      : `<span class="live-indicator">● Live ${formatDuration(duration)}</span>`;
     
-    csv += row + '\n';
+    row.innerHTML = `
+      <td>
+        ${formatPermissionBadge(session.permissionType)}
+      </td>
+      <td class="domain-cell">${formatDomainCell(session)}</td>
+      <td class="timestamp-cell">${new Date(session.startTime).toLocaleString()}</td>
+      <td>${durationText}</td>
+      <td class="details-cell">${escapeHtml((session.trackLabels || []).join(', '))}</td>
+      <td>${session.hiddenDuringSession ? '<span class="hidden-flag">Yes</span>' : 'No'}</td>
+      <td class="action-cell">${escapeHtml(session.endReason || 'still open')}</td>
+    `;
+    sessionsTbody.appendChild(row);
   });
+}
+
+/**
+ * Session length in ms (open sessions run until now, unknown ends are null)
+ */
+function getSessionDuration(session, now) {
+  if (!session.endReason) {
+    return now - Date.parse(session.startTime);
+  }
+  return session.duration;
+}
+
+/**
+ * Format milliseconds as "1h 02m", "3m 12s" or "45s"
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.floor((ms || 0) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
   
-  // Download CSV
-  downloadFile(csv, 'permission-analyzer-logs.csv', 'text/csv');
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+  return `${seconds}s`;
 }
 
 /**
- * Export logs as Markdown
+ * Redraw all charts from the filtered logs
  */
-function exportAsMarkdown() {
-  if (allLogs.length === 0) {
-    alert('No logs to export');
-    return;
+function displayCharts() {
+  displayTimelineChart();
+  displayHeatmap();
+  displayTopDomains();
+}
+
+/**
+ * Start of the hour/day/week (weeks start on Sunday) containing a time, local time
+ */
+function getBucketStart(time, bucket) {
+  const date = new Date(time);
+  if (bucket === 'hour') {
+    date.setMinutes(0, 0, 0);
+  } else {
+    date.setHours(0, 0, 0, 0);
+    if (bucket === 'week') {
+      date.setDate(date.getDate() - date.getDay());
+    }
+  }
+  return date.getTime();
+}
+
+/**
+ * Move a bucket start by a number of buckets (calendar-aware across DST changes)
+ */
+function shiftBucket(time, bucket, steps) {
+  const date = new Date(time);
+  if (bucket === 'hour') {
+    date.setHours(date.getHours() + steps);
+  } else {
+    date.setDate(date.getDate() + steps * (bucket === 'week' ? 7 : 1));
+  }
+  return date.getTime();
+}
+
+function formatBucketLabel(time, bucket) {
+  const date = new Date(time);
+  const day = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  return bucket === 'hour' ? `${day} ${String(date.getHours()).padStart(2, '0')}:00` : day;
+}
+
+/**
+ * Stacked bar chart of events per time bucket, one series per permission type
+ */
+function displayTimelineChart() {
+  const bucket = chartBucketSelect.value;
+  const bucketCount = CHART_BUCKET_COUNTS[bucket];
+  
+  const buckets = new Map();
+  let start = shiftBucket(getBucketStart(Date.now(), bucket), bucket, 1 - bucketCount);
+  for (let i = 0; i < bucketCount; i++) {
+    buckets.set(start, { start, counts: {}, total: 0 });
+    start = shiftBucket(start, bucket, 1);
   }
   
-  const now = new Date();
-  const exportDate = now.toLocaleDateString('en-US', { 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit'
+  const seriesTypes = new Set();
+  Object.entries(logSummary.byHour).forEach(([hour, counts]) => {
+    const entry = buckets.get(getBucketStart(Number(hour), bucket));
+    if (!entry) {
+      return; // Older than the charted window
+    }
+    Object.entries(counts).forEach(([type, count]) => {
+      entry.counts[type] = (entry.counts[type] || 0) + count;
+      entry.total += count;
+      seriesTypes.add(type);
+    });
   });
   
-  let markdown = `# Permission Analyzer - Activity Log\n\n`;
-  markdown += `**Exported:** ${exportDate}\n`;
-  markdown += `**Total Entries:** ${allLogs.length}\n\n`;
-  markdown += `---\n\n`;
+  const series = Object.keys(CHART_COLORS).filter(type => seriesTypes.has(type));
+  const maxTotal = Math.max(0, ...Array.from(buckets.values(), entry => entry.total));
   
-  // Statistics Section
-  markdown += `## Summary Statistics\n\n`;
-  const counts = {
-    camera: 0,
-    microphone: 0,
-    location: 0,
-    clipboard: 0,
-    notifications: 0
-  };
+  if (maxTotal === 0) {
+    timelineChartEl.innerHTML = `<div class="no-data">No activity in the last ${bucketCount} ${bucket}s</div>`;
+    timelineLegendEl.innerHTML = '';
+    return;
+  }
   
-  allLogs.forEach(log => {
-    if (log.permissionType === 'camera') counts.camera++;
-    else if (log.permissionType === 'microphone') counts.microphone++;
-    else if (log.permissionType === 'location') counts.location++;
-    else if (log.permissionType.includes('clipboard')) counts.clipboard++;
-    else if (log.permissionType === 'notifications') counts.notifications++;
-  });
+  // Fixed viewBox so text stays the same size whatever the bucket count
+  const width = 960;
+  const height = 220;
+  const left = 36;
+  const bottom = 24;
+  const plotHeight = height - bottom - 10;
+  const slot = (width - left) / bucketCount;
+  const barWidth = Math.max(2, slot * 0.7);
+  const labelEvery = Math.ceil(bucketCount / 8);
   
-  markdown += `- 📷 Camera Access: ${counts.camera}\n`;
-  markdown += `- 🎤 Microphone Access: ${counts.microphone}\n`;
-  markdown += `- 📍 Location Access: ${counts.location}\n`;
-  markdown += `- 📋 Clipboard Access: ${counts.clipboard}\n`;
-  markdown += `- 🔔 Notifications: ${counts.notifications}\n\n`;
-  markdown += `---\n\n`;
+  let svg = `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Events over time">`;
   
-  // Logs Table
-  markdown += `## Detailed Logs\n\n`;
-  markdown += `| Timestamp | Domain | Permission | Action | URL |\n`;
-  markdown += `|-----------|--------|------------|--------|-----|\n`;
+  [0, 0.5, 1].forEach(fraction => {
+    const y = 10 + plotHeight * (1 - fraction);
+    svg += `<line class="chart-grid" x1="${left}" x2="${width}" y1="${y}" y2="${y}"></line>`;
+    svg += `<text class="chart-axis" x="${left - 6}" y="${y + 4}" text-anchor="end">${Math.round(maxTotal * fraction)}</text>`;
+  });
   
-  allLogs.forEach(log => {
-    markdown += `| ${log.dateFormatted} | ${log.domain} | ${formatPermissionName(log.permissionType)} | ${log.action} | ${log.url} |\n`;
+  Array.from(buckets.values()).forEach((entry, index) => {
+    const x = left + index * slot + (slot - barWidth) / 2;
+    const label = formatBucketLabel(entry.start, bucket);
+    let y = 10 + plotHeight;
+    
+    series.forEach(type => {
+      const count = entry.counts[type];
+      if (!count) {
+        return;
+      }
+      const barHeight = (count / maxTotal) * plotHeight;
+      y -= barHeight;
+      svg += `<rect class="chart-bar" data-permission="${type}" x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" fill="${CHART_COLORS[type]}">` +
+             `<title>${escapeHtml(label)} — ${formatPermissionName(type)}: ${count}</title></rect>`;
+    });
+    
+    if (index % labelEvery === 0) {
+      svg += `<text class="chart-axis" x="${x + barWidth / 2}" y="${height - 6}" text-anchor="middle">${escapeHtml(label)}</text>`;
+    }
   });
   
-  markdown += `\n---\n\n`;
-  markdown += `*Generated by Permission Analyzer v1.0.0*\n`;
+  svg += '</svg>';
+  timelineChartEl.innerHTML = svg;
   
-  // Download Markdown
-  downloadFile(markdown, 'permission-analyzer-logs.md', 'text/markdown');
+  timelineLegendEl.innerHTML = series.map(type => `
+    <button class="legend-item${filterPermission.value === type ? ' active' : ''}" data-permission="${type}" title="Filter by ${formatPermissionName(type)}">
+      <span class="legend-swatch" style="background: ${CHART_COLORS[type]}"></span>
+      ${formatPermissionName(type)}
+    </button>
+  `).join('');
 }
 
 /**
- * Download file helper
+ * Clicking a bar or legend entry toggles the permission filter
  */
-function downloadFile(content, filename, mimeType) {
-  const blob = new Blob([content], { type: mimeType });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
+function handleChartClick(event) {
+  const target = event.target.closest('[data-permission]');
+  if (!target) {
+    return;
+  }
+  const permissionType = target.dataset.permission;
+  filterPermission.value = filterPermission.value === permissionType ? 'all' : permissionType;
+  applyFilters();
 }
 
 /**
- * Clear all logs
+ * Day-of-week × hour-of-day heatmap of the filtered logs, local time
  */
-async function clearAllLogs() {
-  if (!confirm('Are you sure you want to clear ALL logs? This action cannot be undone.')) {
-    return;
+function displayHeatmap() {
+  const grid = logSummary.heatmap;
+  const maxCount = Math.max(0, ...grid.map(hours => Math.max(...hours)));
+  
+  let html = '<div class="heatmap-label"></div>';
+  for (let hour = 0; hour < 24; hour++) {
+    html += `<div class="heatmap-label">${hour % 3 === 0 ? hour : ''}</div>`;
   }
   
-  try {
-    await chrome.runtime.sendMessage({ type: 'CLEAR_LOGS' });
-    allLogs = [];
-    filteredLogs = [];
-    updateStats();
-    displayLogs();
-    alert('All logs have been cleared successfully.');
-  } catch (error) {
-    console.error('Error clearing logs:', error);
-    alert('Failed to clear logs. Please try again.');
+  grid.forEach((hours, day) => {
+    html += `<div class="heatmap-label">${DAY_NAMES[day]}</div>`;
+    hours.forEach((count, hour) => {
+      const intensity = maxCount ? count / maxCount : 0;
+      const style = count ? ` style="background: rgba(125, 211, 252, ${(0.15 + intensity * 0.85).toFixed(2)})"` : '';
+      const range = `${String(hour).padStart(2, '0')}:00–${String(hour + 1).padStart(2, '0')}:00`;
+      html += `<div class="heatmap-cell"${style} title="${DAY_NAMES[day]} ${range}: ${count} event${count === 1 ? '' : 's'}"></div>`;
+    });
+  });
+  
+  heatmapChartEl.innerHTML = html;
+}
+
+/**
+ * Most active domains for each permission type in the filtered logs
+ */
+function displayTopDomains() {
+  const byType = new Map(Object.entries(logSummary.topDomains));
+  
+  if (byType.size === 0) {
+    topDomainsChartEl.innerHTML = '<div class="no-data">No activity to chart</div>';
+    return;
   }
+  
+  topDomainsChartEl.innerHTML = Object.keys(CHART_COLORS)
+    .filter(type => byType.has(type))
+    .map(type => {
+      const domains = byType.get(type);
+      const maxCount = domains[0][1];
+      
+      const rows = domains.map(([domain, count]) => `
+        <div class="top-domain-row">
+          <span class="top-domain-name">${formatDomainLink(domain)}</span>
+          <span class="top-domain-bar">
+            <span style="width: ${(count / maxCount) * 100}%; background: ${CHART_COLORS[type]}"></span>
+          </span>
+          <span class="top-domain-count">${count}</span>
+        </div>
+      `).join('');
+      
+      return `<div class="top-domains-group">${formatPermissionBadge(type)}${rows}</div>`;
+    })
+    .join('');
 }
 
 /**
- * Setup event listeners
+ * Check a log or session against the current filters
+ * (the paged table applies the same filters in background.js)
  */
-function setupEventListeners() {
-  filterPermission.addEventListener('change', applyFilters);
-  searchDomain.addEventListener('input', applyFilters);
-  resetFiltersBtn.addEventListener('click', resetFilters);
-  exportCsvBtn.addEventListener('click', exportAsCSV);
-  exportMdBtn.addEventListener('click', exportAsMarkdown);
-  clearAllBtn.addEventListener('click', clearAllLogs);
+function matchesFilters(item) {
+  const permissionFilter = filterPermission.value;
+  const domainSearch = searchDomain.value.toLowerCase().trim();
+  
+  // Permission type filter
+  if (permissionFilter !== 'all' && item.permissionType !== permissionFilter) {
+    return false;
+  }
+  
+  // Domain search filter (frame domain, top-level site or either)
+  if (domainSearch) {
+    const frameMatch = item.domain.toLowerCase().includes(domainSearch);
+    const topMatch = getTopDomain(item).toLowerCase().includes(domainSearch);
+    const field = filterOrigin.value;
+    
+    if (field === 'domain' && !frameMatch) return false;
+    if (field === 'topDomain' && !topMatch) return false;
+    if (field === 'any' && !frameMatch && !topMatch) return false;
+  }
+  
+  // Third-party frame filter
+  if (filterThirdParty.checked && !item.isThirdPartyFrame) {
+    return false;
+  }
+  
+  // Hidden-tab filter (sessions count if they ran while hidden)
+  if (filterHidden.checked && item.isVisible !== false && !item.hiddenDuringSession) {
+    return false;
+  }
+  
+  return true;
 }
 
 /**
- * Helper functions
+ * Apply filters
  */
-function getPermissionIcon(permissionType) {
-  const icons = {
-    'camera': '📷',
-    'microphone': '🎤',
-    'location': '📍',
-    'clipboard-read': '📋',
-    'clipboard-write': '📋',
-    'notifications': '🔔'
-  };
-  return icons[permissionType] || '🔒';
+function applyFilters() {
+  currentPage = 0;
+  loadLogSummary();
+  loadLogPage();
+  displayMediaSessions();
 }
 
-function formatPermissionName(permissionType) {
-  const names = {
-    'camera': 'Camera',
-    'microphone': 'Microphone',
-    'location': 'Location',
-    'clipboard-read': 'Clipboard Read',
-    'clipboard-write': 'Clipboard Write',
-    'notifications': 'Notifications'
+/**
+ * Reset filters
+ */
+function resetFilters() {
+  filterPermission.value = 'all';
+  searchDomain.value = '';
+  filterOrigin.value = 'any';
+  filterThirdParty.checked = false;
+  filterHidden.checked = false;
+  currentPage = 0;
+  loadLogSummary();
+  loadLogPage();
+  displayMediaSessions();
+}
+
+/**
+ * Every stored log, most recent first (fetched only when exporting)
+ */
+async function fetchAllLogs() {
+  const response = await chrome.runtime.sendMessage({ type: 'GET_LOGS' });
+  return response.logs || [];
+}
+
+/**
+ * Export logs as CSV
+ */
+async function exportAsCSV() {
+  const logs = await fetchAllLogs();
+  if (logs.length === 0) {
+    alert('No logs to export');
+    return;
+  }
+  
+  // CSV Header
+  let csv = 'Timestamp,Domain,Top-Level Site,Third-Party Frame,URL,Permission Type,Action\n';
+  
+  // CSV Rows
+  logs.forEach(log => {
+    const row = [
+      log.dateFormatted,
+      log.domain,
+      getTopDomain(log),
+      log.isThirdPartyFrame ? 'yes' : 'no',
+      log.url,
+      log.permissionType,
+      log.action
+    ].map(formatCsvField).join(',');
+    
+    csv += row + '\n';
+  });
+  
+  // Download CSV
+  downloadFile(csv, 'permission-analyzer-logs.csv', 'text/csv');
+}
+
+/**
+ * Quote a CSV field, doubling embedded quotes
+ */
+function formatCsvField(value) {
+  return `"${String(value ?? '').replace(/"/g, '""')}"`;
+}
+
+/**
+ * Export every log as one line per event in a SIEM format
+ */
+async function exportAsLines(formatLine, filename, mimeType) {
+  const logs = await fetchAllLogs();
+  if (logs.length === 0) {
+    alert('No logs to export');
+    return;
+  }
+  
+  // Oldest first, the order SIEM collectors expect
+  const lines = logs
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+    .map(formatLine);
+  
+  downloadFile(lines.join('\n') + '\n', filename, mimeType);
+}
+
+/**
+ * Export logs, sessions, settings, policies and notification rules as versioned JSON
+ */
+async function exportAsJSON() {
+  try {
+    const [logs, settings, rulesResponse, notificationRulesResponse] = await Promise.all([
+      fetchAllLogs(),
+      chrome.runtime.sendMessage({ type: 'GET_SETTINGS' }),
+      chrome.runtime.sendMessage({ type: 'GET_POLICY_RULES' }),
+      chrome.runtime.sendMessage({ type: 'GET_NOTIFICATION_RULES' })
+    ]);
+    
+    const exportData = {
+      format: EXPORT_FORMAT,
+      schemaVersion: EXPORT_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      logs,
+      sessions: allSessions,
+      settings,
+      policyRules: rulesResponse.rules || [],
+      notificationRules: notificationRulesResponse.rules || []
+    };
+    
+    const date = exportData.exportedAt.slice(0, 10);
+    downloadFile(JSON.stringify(exportData, null, 2), `permission-analyzer-${date}.json`, 'application/json');
+  } catch (error) {
+    console.error('Error exporting JSON:', error);
+    alert('Failed to export data. Please try again.');
+  }
+}
+
+/**
+ * Check an export file's envelope; returns an error message or null
+ * (individual log entries are validated again by background.js)
+ */
+function validateImportData(data) {
+  if (!data || typeof data !== 'object' || data.format !== EXPORT_FORMAT) {
+    return 'This is not a Permission Analyzer export file.';
+  }
+  if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) {
+    return 'The file has no valid schema version.';
+  }
+  if (data.schemaVersion > EXPORT_SCHEMA_VERSION) {
+    return `The file uses schema version ${data.schemaVersion}; this version of the extension reads up to ${EXPORT_SCHEMA_VERSION}.`;
+  }
+  if (!Array.isArray(data.logs)) {
+    return 'The file contains no log list.';
+  }
+  if (data.sessions !== undefined && !Array.isArray(data.sessions)) {
+    return 'The session list in the file is malformed.';
+  }
+  return null;
+}
+
+/**
+ * Import a JSON export chosen in the file picker
+ */
+async function importFromFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    alert('Could not read the file: it is not valid JSON.');
+    return;
+  }
+  
+  const validationError = validateImportData(data);
+  if (validationError) {
+    alert(`Import failed. ${validationError}`);
+    return;
+  }
+  
+  const message = { type: 'IMPORT_DATA', logs: data.logs, sessions: data.sessions || [] };
+  if ((data.settings || data.policyRules || data.notificationRules) &&
+      confirm('Also restore settings, site policies and notification rules from this file? Your current settings and rules will be replaced.')) {
+    message.settings = data.settings;
+    message.policyRules = data.policyRules;
+    message.notificationRules = data.notificationRules;
+  }
+  
+  try {
+    const result = await chrome.runtime.sendMessage(message);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    loadLogs();
+    loadRiskScores();
+    loadMediaSessions();
+    loadPolicyRules();
+    loadNotificationRules();
+    
+    let summary = `Imported ${result.imported} logs (${result.skipped} already present).`;
+    if (result.invalid > 0) {
+      summary += ` ${result.invalid} malformed entries were ignored.`;
+    }
+    alert(summary);
+  } catch (error) {
+    console.error('Error importing data:', error);
+    alert('Failed to import data. Please try again.');
+  }
+}
+
+/**
+ * Export logs as Markdown
+ */
+async function exportAsMarkdown() {
+  const logs = await fetchAllLogs();
+  if (logs.length === 0) {
+    alert('No logs to export');
+    return;
+  }
+  
+  const now = new Date();
+  const exportDate = now.toLocaleDateString('en-US', { 
+    year: 'numeric', 
+    month: 'long', 
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  
+  let markdown = `# Permission Analyzer - Activity Log\n\n`;
+  markdown += `**Exported:** ${exportDate}\n`;
+  markdown += `**Total Entries:** ${logs.length}\n\n`;
+  markdown += `---\n\n`;
+  
+  // Statistics Section
+  markdown += `## Summary Statistics\n\n`;
+  const counts = {
+    camera: 0,
+    microphone: 0,
+    screenCapture: 0,
+    location: 0,
+    clipboard: 0,
+    notifications: 0,
+    devices: 0,
+    fingerprinting: 0,
+    tamper: 0
+  };
+  
+  logs.forEach(log => {
+    if (log.permissionType === 'camera') counts.camera++;
+    else if (log.permissionType === 'microphone') counts.microphone++;
+    else if (log.permissionType === 'screen-capture') counts.screenCapture++;
+    else if (log.permissionType === 'location') counts.location++;
+    else if (log.permissionType.includes('clipboard')) counts.clipboard++;
+    else if (log.permissionType === 'notifications') counts.notifications++;
+    else if (['usb', 'hid', 'serial', 'bluetooth', 'midi'].includes(log.permissionType)) counts.devices++;
+    else if (log.permissionType === 'fingerprinting') counts.fingerprinting++;
+    else if (log.permissionType === 'tamper') counts.tamper++;
+  });
+  
+  markdown += `- 📷 Camera Access: ${counts.camera}\n`;
+  markdown += `- 🎤 Microphone Access: ${counts.microphone}\n`;
+  markdown += `- 🖥️ Screen Capture: ${counts.screenCapture}\n`;
+  markdown += `- 📍 Location Access: ${counts.location}\n`;
+  markdown += `- 📋 Clipboard Access: ${counts.clipboard}\n`;
+  markdown += `- 🔔 Notifications: ${counts.notifications}\n`;
+  markdown += `- 🔌 Hardware Devices: ${counts.devices}\n`;
+  markdown += `- 🕵️ Fingerprinting: ${counts.fingerprinting}\n`;
+  markdown += `- ⚠️ Tamper Attempts: ${counts.tamper}\n\n`;
+  markdown += `---\n\n`;
+  
+  // Logs Table
+  markdown += `## Detailed Logs\n\n`;
+  markdown += `| Timestamp | Domain | Permission | Action | URL |\n`;
+  markdown += `|-----------|--------|------------|--------|-----|\n`;
+  
+  logs.forEach(log => {
+    markdown += `| ${log.dateFormatted} | ${log.domain} | ${formatPermissionName(log.permissionType)} | ${log.action} | ${log.url} |\n`;
+  });
+  
+  markdown += `\n---\n\n`;
+  markdown += `*Generated by Permission Analyzer v1.0.0*\n`;
+  
+  // Download Markdown
+  downloadFile(markdown, 'permission-analyzer-logs.md', 'text/markdown');
+}
+
+/**
+ * Download file helper
+ */
+function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Clear all logs
+ */
+async function clearAllLogs() {
+  if (!confirm('Are you sure you want to clear ALL logs? This action cannot be undone.')) {
+    return;
+  }
+  
+  try {
+    await chrome.runtime.sendMessage({ type: 'CLEAR_LOGS' });
+    allSessions = [];
+    currentPage = 0;
+    displayRiskScores([]);
+    loadLogs();
+    displayMediaSessions();
+    alert('All logs have been cleared successfully.');
+  } catch (error) {
+    console.error('Error clearing logs:', error);
+    alert('Failed to clear logs. Please try again.');
+  }
+}
+
+/**
+ * Load site policy rules
+ */
+async function loadPolicyRules() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_POLICY_RULES' });
+    displayPolicyRules(response.rules || [], response.managedRules || []);
+  } catch (error) {
+    console.error('Error loading policy rules:', error);
+    policyTbody.innerHTML = '<tr><td colspan="4" class="no-data">Error loading policy rules</td></tr>';
+  }
+}
+
+/**
+ * Display policy rules in table, managed rules first
+ */
+function displayPolicyRules(rules, managedRules = []) {
+  if (rules.length === 0 && managedRules.length === 0) {
+    policyTbody.innerHTML = '<tr><td colspan="4" class="no-data">No policy rules - all permissions are allowed</td></tr>';
+    return;
+  }
+  
+  policyTbody.innerHTML = '';
+  
+  [...managedRules, ...rules].forEach(rule => {
+    const row = document.createElement('tr');
+    const permissionName = rule.permissionType === '*'
+      ? 'All Permissions'
+      : `${getPermissionIcon(rule.permissionType)} ${formatPermissionName(rule.permissionType)}`;
+    
+    row.innerHTML = `
+      <td class="domain-cell">${escapeHtml(rule.pattern)}</td>
+      <td>${permissionName}</td>
+      <td><span class="decision-badge ${rule.decision}">${rule.decision}</span></td>
+      <td>${rule.managed
+        ? `<span class="managed-badge" title="${MANAGED_TITLE}">🏢 Managed</span>`
+        : `<button class="btn btn-danger btn-small" data-rule-id="${escapeHtml(rule.id)}" data-managed="policyRules">Remove</button>`}</td>
+    `;
+    
+    policyTbody.appendChild(row);
+  });
+  applyManagedState();
+}
+
+/**
+ * Add a policy rule from the form
+ */
+async function addPolicyRule() {
+  const pattern = policyPatternInput.value.trim();
+  if (!pattern) {
+    alert('Please enter a domain pattern');
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'ADD_POLICY_RULE',
+      rule: {
+        pattern,
+        permissionType: policyPermissionSelect.value,
+        decision: policyDecisionSelect.value
+      }
+    });
+    
+    if (!response.success) {
+      alert('Invalid policy rule. Use a host, *.host or *');
+      return;
+    }
+    
+    policyPatternInput.value = '';
+    loadPolicyRules();
+  } catch (error) {
+    console.error('Error adding policy rule:', error);
+    alert('Failed to add policy rule. Please try again.');
+  }
+}
+
+/**
+ * Remove a policy rule
+ */
+async function deletePolicyRule(id) {
+  try {
+    await chrome.runtime.sendMessage({ type: 'DELETE_POLICY_RULE', id });
+    loadPolicyRules();
+  } catch (error) {
+    console.error('Error deleting policy rule:', error);
+  }
+}
+
+/**
+ * Load notification rules
+ */
+async function loadNotificationRules() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_NOTIFICATION_RULES' });
+    displayNotificationRules(response.rules || [], response.managedRules || []);
+  } catch (error) {
+    console.error('Error loading notification rules:', error);
+    notifyTbody.innerHTML = '<tr><td colspan="4" class="no-data">Error loading notification rules</td></tr>';
+  }
+}
+
+/**
+ * Display notification rules in table, managed rules first
+ */
+function displayNotificationRules(rules, managedRules = []) {
+  if (rules.length === 0 && managedRules.length === 0) {
+    notifyTbody.innerHTML = '<tr><td colspan="4" class="no-data">No notification rules - every use notifies</td></tr>';
+    return;
+  }
+  
+  notifyTbody.innerHTML = '';
+  
+  [...managedRules, ...rules].forEach(rule => {
+    const row = document.createElement('tr');
+    const permissionName = rule.permissionType === '*'
+      ? 'All Permissions'
+      : `${getPermissionIcon(rule.permissionType)} ${formatPermissionName(rule.permissionType)}`;
+    
+    row.innerHTML = `
+      <td class="domain-cell">${escapeHtml(rule.pattern)}</td>
+      <td>${permissionName}</td>
+      <td>${NOTIFICATION_MODE_LABELS[rule.mode] || escapeHtml(rule.mode)}</td>
+      <td>${rule.managed
+        ? `<span class="managed-badge" title="${MANAGED_TITLE}">🏢 Managed</span>`
+        : `<button class="btn btn-danger btn-small" data-notify-rule-id="${escapeHtml(rule.id)}" data-managed="notificationRules">Remove</button>`}</td>
+    `;
+    
+    notifyTbody.appendChild(row);
+  });
+  applyManagedState();
+}
+
+/**
+ * Add a notification rule from the form
+ */
+async function addNotificationRule() {
+  const pattern = notifyPatternInput.value.trim();
+  if (!pattern) {
+    alert('Please enter a domain pattern');
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'ADD_NOTIFICATION_RULE',
+      rule: {
+        pattern,
+        permissionType: notifyPermissionSelect.value,
+        mode: notifyModeSelect.value
+      }
+    });
+    
+    if (!response.success) {
+      alert('Invalid notification rule. Use a host, *.host or *');
+      return;
+    }
+    
+    notifyPatternInput.value = '';
+    loadNotificationRules();
+  } catch (error) {
+    console.error('Error adding notification rule:', error);
+    alert('Failed to add notification rule. Please try again.');
+  }
+}
+
+/**
+ * Remove a notification rule
+ */
+async function deleteNotificationRule(id) {
+  try {
+    await chrome.runtime.sendMessage({ type: 'DELETE_NOTIFICATION_RULE', id });
+    loadNotificationRules();
+  } catch (error) {
+    console.error('Error deleting notification rule:', error);
+  }
+}
+
+/**
+ * Load quiet hours and per-type priorities
+ */
+async function loadNotificationSettings() {
+  try {
+    const settings = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    const quietHours = settings.quietHours || {};
+    quietEnabledInput.checked = !!quietHours.enabled;
+    quietStartInput.value = quietHours.start || '22:00';
+    quietEndInput.value = quietHours.end || '07:00';
+    // background.js fills in the default priorities
+    displayPriorityGrid(settings.notificationPriorities || {});
+  } catch (error) {
+    console.error('Error loading notification settings:', error);
+  }
+}
+
+/**
+ * One priority select per permission type
+ */
+function displayPriorityGrid(priorities) {
+  const types = Array.from(notifyPermissionSelect.querySelectorAll('option'))
+    .map(option => option.value)
+    .filter(type => type !== '*');
+  
+  priorityGridEl.innerHTML = types.map(type => `
+    <div class="filter-group">
+      <label for="priority-${type}">${getPermissionIcon(type)} ${formatPermissionName(type)}:</label>
+      <select id="priority-${type}" data-priority-type="${type}" data-managed="notificationPriorities">
+        <option value="2">High</option>
+        <option value="1">Normal</option>
+        <option value="0">Low</option>
+        <option value="-1">Minimal</option>
+      </select>
+    </div>
+  `).join('');
+  
+  priorityGridEl.querySelectorAll('[data-priority-type]').forEach(select => {
+    select.value = String(priorities[select.dataset.priorityType] ?? 1);
+  });
+  applyManagedState();
+}
+
+/**
+ * Save quiet hours and priorities
+ */
+async function saveNotificationSettings() {
+  const notificationPriorities = {};
+  priorityGridEl.querySelectorAll('[data-priority-type]').forEach(select => {
+    notificationPriorities[select.dataset.priorityType] = Number(select.value);
+  });
+  
+  try {
+    await chrome.runtime.sendMessage({
+      type: 'UPDATE_SETTINGS',
+      settings: {
+        quietHours: {
+          enabled: quietEnabledInput.checked,
+          start: quietStartInput.value,
+          end: quietEndInput.value
+        },
+        notificationPriorities
+      }
+    });
+  } catch (error) {
+    console.error('Error saving notification settings:', error);
+    alert('Failed to save notification settings. Please try again.');
+  }
+}
+
+/**
+ * Load the forwarder form and delivery status
+ */
+async function loadForwarder() {
+  try {
+    const { config } = await chrome.runtime.sendMessage({ type: 'GET_FORWARDER_STATUS' });
+    forwarderEnabledInput.checked = !!config.enabled;
+    forwarderTransportSelect.value = config.transport || 'http';
+    forwarderEndpointInput.value = config.endpoint || '';
+    forwarderHostInput.value = config.nativeHost || '';
+    updateForwarderFields();
+    loadForwarderStatus();
+  } catch (error) {
+    console.error('Error loading forwarder settings:', error);
+  }
+}
+
+/**
+ * Refresh the delivery status indicator
+ */
+async function loadForwarderStatus() {
+  try {
+    const { config, status, queued } = await chrome.runtime.sendMessage({ type: 'GET_FORWARDER_STATUS' });
+    displayForwarderStatus(config, status, queued);
+  } catch (error) {
+    console.error('Error loading forwarder status:', error);
+  }
+}
+
+/**
+ * Show the state as ok / retrying / idle / disabled with queue and delivery details
+ */
+function displayForwarderStatus(config, status, queued) {
+  const state = config.enabled ? (status.state || 'idle') : 'disabled';
+  const labels = {
+    ok: 'Delivering',
+    retrying: 'Collector unreachable',
+    idle: 'Waiting for events',
+    disabled: 'Disabled'
+  };
+  
+  forwarderStatusEl.className = `forwarder-status ${state}`;
+  forwarderStatusTextEl.textContent = labels[state] || state;
+  retryForwarderBtn.disabled = !config.enabled || queued === 0;
+  
+  if (!config.enabled) {
+    forwarderDetailsEl.textContent = '';
+    return;
+  }
+  
+  const details = [`${queued} queued`, `${status.delivered || 0} delivered`];
+  if (status.lastSuccess) {
+    details.push(`last delivery ${new Date(status.lastSuccess).toLocaleString()}`);
+  }
+  if (state === 'retrying') {
+    details.push(`${status.failures} failed attempts, last error: ${status.lastError}`);
+    details.push(`next retry ${new Date(status.retryAt).toLocaleTimeString()}`);
+  }
+  forwarderDetailsEl.textContent = details.join(' • ');
+}
+
+/**
+ * Show the input that matches the selected transport
+ */
+function updateForwarderFields() {
+  const isNative = forwarderTransportSelect.value === 'native';
+  forwarderEndpointGroup.hidden = isNative;
+  forwarderHostGroup.hidden = !isNative;
+}
+
+/**
+ * Save the forwarder form
+ * Native messaging is an optional permission, requested when first selected
+ */
+async function saveForwarder() {
+  const config = {
+    enabled: forwarderEnabledInput.checked,
+    transport: forwarderTransportSelect.value,
+    endpoint: forwarderEndpointInput.value.trim(),
+    nativeHost: forwarderHostInput.value.trim()
+  };
+  
+  try {
+    if (config.enabled && config.transport === 'native') {
+      const granted = await chrome.permissions.request({ permissions: ['nativeMessaging'] });
+      if (!granted) {
+        alert('Native messaging permission is required to forward to a native host.');
+        return;
+      }
+    }
+    
+    const response = await chrome.runtime.sendMessage({ type: 'UPDATE_FORWARDER', config });
+    if (!response.success) {
+      alert(`Could not save forwarding settings: ${response.error}`);
+      return;
+    }
+    loadForwarderStatus();
+  } catch (error) {
+    console.error('Error saving forwarder settings:', error);
+    alert('Failed to save forwarding settings. Please try again.');
+  }
+}
+
+/**
+ * Load the URL / title redaction form
+ */
+async function loadRedactionSettings() {
+  try {
+    const settings = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    const redaction = settings.redaction || {};
+    redactionUrlModeSelect.value = redaction.urlMode || 'full';
+    redactionStripParamsInput.value = (redaction.stripParams || []).join(', ');
+    redactionTitleModeSelect.value = redaction.titleMode || 'keep';
+    redactionTitleLengthInput.value = redaction.titleMaxLength || 60;
+    updateRedactionFields();
+  } catch (error) {
+    console.error('Error loading redaction settings:', error);
+  }
+}
+
+/**
+ * Parameters only matter for full URLs, the length only when truncating
+ */
+function updateRedactionFields() {
+  redactionParamsGroup.hidden = redactionUrlModeSelect.value !== 'full';
+  redactionLengthGroup.hidden = redactionTitleModeSelect.value !== 'truncate';
+}
+
+/**
+ * Save the redaction form; applies to events logged from now on
+ */
+async function saveRedactionSettings() {
+  const redaction = {
+    urlMode: redactionUrlModeSelect.value,
+    stripParams: redactionStripParamsInput.value.split(',').map(name => name.trim()).filter(Boolean),
+    titleMode: redactionTitleModeSelect.value,
+    titleMaxLength: Number(redactionTitleLengthInput.value) || 60
+  };
+  
+  try {
+    await chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', settings: { redaction } });
+  } catch (error) {
+    console.error('Error saving redaction settings:', error);
+    alert('Failed to save redaction settings. Please try again.');
+  }
+}
+
+/**
+ * Save, then rewrite stored history at the chosen level
+ */
+async function applyRedactionToHistory() {
+  if (!confirm('Apply these settings to all stored events? Removed URL and title details cannot be recovered.')) {
+    return;
+  }
+  
+  try {
+    await saveRedactionSettings();
+    const result = await chrome.runtime.sendMessage({ type: 'APPLY_REDACTION' });
+    if (!result.success) {
+      alert(`Could not redact history: ${result.error}`);
+      return;
+    }
+    alert(`Updated ${result.updated} stored event${result.updated !== 1 ? 's' : ''}.`);
+    loadLogs();
+    loadMediaSessions();
+  } catch (error) {
+    console.error('Error applying redaction:', error);
+    alert('Failed to redact history. Please try again.');
+  }
+}
+
+/**
+ * Load the retention period
+ * A managed period that is not one of the presets gets its own option
+ */
+async function loadRetentionSettings() {
+  try {
+    const settings = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    const days = String(Number(settings.retentionDays) || 0);
+    if (!retentionDaysSelect.querySelector(`option[value="${days}"]`)) {
+      retentionDaysSelect.add(new Option(`${days} days`, days));
+    }
+    retentionDaysSelect.value = days;
+  } catch (error) {
+    console.error('Error loading retention settings:', error);
+  }
+}
+
+/**
+ * Save the retention period; older events are deleted right away
+ */
+async function saveRetentionSettings() {
+  const retentionDays = Number(retentionDaysSelect.value);
+  if (retentionDays > 0 &&
+      !confirm(`Delete all events older than ${retentionDays} days now and from now on? This cannot be undone.`)) {
+    return;
+  }
+  
+  try {
+    await chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', settings: { retentionDays } });
+    loadLogs();
+    loadMediaSessions();
+  } catch (error) {
+    console.error('Error saving retention settings:', error);
+    alert('Failed to save the retention period. Please try again.');
+  }
+}
+
+/**
+ * Load which settings the enterprise policy locks
+ */
+async function loadManagedState() {
+  try {
+    const state = await chrome.runtime.sendMessage({ type: 'GET_MANAGED_STATE' });
+    lockedKeys = state.lockedKeys || [];
+    applyManagedState();
+  } catch (error) {
+    console.error('Error loading managed policy:', error);
+  }
+}
+
+/**
+ * Disable controls whose settings are all locked and show the managed badges
+ * Controls name their settings in data-managed, badges in data-managed-badge
+ */
+function applyManagedState() {
+  document.querySelectorAll('[data-managed]').forEach(element => {
+    const locked = element.dataset.managed.split(' ').every(key => lockedKeys.includes(key));
+    element.disabled = locked;
+    element.title = locked ? MANAGED_TITLE : '';
+  });
+  document.querySelectorAll('[data-managed-badge]').forEach(badge => {
+    badge.hidden = !badge.dataset.managedBadge.split(' ').some(key => lockedKeys.includes(key));
+  });
+}
+
+/**
+ * Show the unlock prompt and the encryption controls for the current state
+ */
+async function loadEncryptionStatus() {
+  try {
+    const status = await chrome.runtime.sendMessage({ type: 'GET_ENCRYPTION_STATUS' });
+    unlockBanner.hidden = !status.locked;
+    unlockQueuedEl.textContent = status.queued > 0
+      ? `${status.queued} event${status.queued !== 1 ? 's' : ''} captured while locked will be added when you unlock.`
+      : 'Enter your passphrase to view and export it.';
+    
+    encryptionStateEl.textContent = !status.enabled ? 'Off' : status.locked ? 'On · Locked' : 'On · Unlocked';
+    encryptionStateEl.className = `encryption-state ${status.enabled ? 'on' : ''}`;
+    encryptionOffForm.hidden = status.enabled;
+    encryptionOnForm.hidden = !status.enabled;
+    lockHistoryBtn.disabled = status.locked;
+  } catch (error) {
+    console.error('Error loading encryption status:', error);
+  }
+}
+
+/**
+ * Reload every view that reads the history
+ */
+function reloadHistoryViews() {
+  loadLogs();
+  loadRiskScores();
+  loadMediaSessions();
+  handleRoute();
+}
+
+/**
+ * Show a recovery key once
+ */
+function showRecoveryKey(recoveryKey) {
+  recoveryKeyEl.textContent = recoveryKey;
+  recoveryKeyBox.hidden = false;
+}
+
+/**
+ * Unlock with the passphrase or recovery key from the banner
+ */
+async function unlockHistory() {
+  unlockErrorEl.textContent = '';
+  try {
+    const result = await chrome.runtime.sendMessage({ type: 'UNLOCK_HISTORY', secret: unlockSecretInput.value });
+    if (!result.success) {
+      unlockErrorEl.textContent = result.error;
+      return;
+    }
+    unlockSecretInput.value = '';
+    if (result.usedRecoveryKey) {
+      alert('Unlocked with the recovery key. Set a new passphrase under Encryption at Rest.');
+    }
+    // The storage listener reloads the views once the key is in session storage
+  } catch (error) {
+    console.error('Error unlocking history:', error);
+    unlockErrorEl.textContent = 'Failed to unlock. Please try again.';
+  }
+}
+
+/**
+ * Turn encryption on and show the recovery key
+ */
+async function enableEncryption() {
+  if (encryptionPassphraseInput.value !== encryptionConfirmInput.value) {
+    alert('The passphrases do not match.');
+    return;
+  }
+  
+  try {
+    const result = await chrome.runtime.sendMessage({
+      type: 'ENABLE_ENCRYPTION',
+      passphrase: encryptionPassphraseInput.value
+    });
+    if (!result.success) {
+      alert(`Could not turn on encryption: ${result.error}`);
+      return;
+    }
+    encryptionPassphraseInput.value = '';
+    encryptionConfirmInput.value = '';
+    showRecoveryKey(result.recoveryKey);
+    loadEncryptionStatus();
+  } catch (error) {
+    console.error('Error enabling encryption:', error);
+    alert('Failed to turn on encryption. Please try again.');
+  }
+}
+
+/**
+ * Set a new passphrase using the current one or the recovery key
+ */
+async function changePassphrase() {
+  try {
+    const result = await chrome.runtime.sendMessage({
+      type: 'CHANGE_PASSPHRASE',
+      secret: encryptionCurrentInput.value,
+      passphrase: encryptionNewInput.value
+    });
+    if (!result.success) {
+      alert(`Could not change the passphrase: ${result.error}`);
+      return;
+    }
+    encryptionCurrentInput.value = '';
+    encryptionNewInput.value = '';
+    if (result.recoveryKey) {
+      // The old recovery key was used, so it has been replaced
+      showRecoveryKey(result.recoveryKey);
+    }
+    alert('Passphrase changed.');
+  } catch (error) {
+    console.error('Error changing passphrase:', error);
+    alert('Failed to change the passphrase. Please try again.');
+  }
+}
+
+/**
+ * Forget the key until the next unlock
+ */
+async function lockHistory() {
+  try {
+    await chrome.runtime.sendMessage({ type: 'LOCK_HISTORY' });
+  } catch (error) {
+    console.error('Error locking history:', error);
+  }
+}
+
+/**
+ * Decrypt the history and turn encryption off, or with discardHistory
+ * delete the encrypted history when the passphrase and recovery key are lost
+ */
+async function disableEncryption(discardHistory) {
+  const question = discardHistory
+    ? 'Delete the encrypted history and turn encryption off? This cannot be undone.'
+    : 'Decrypt the history and store it in plaintext again?';
+  if (!confirm(question)) {
+    return;
+  }
+  
+  try {
+    const result = await chrome.runtime.sendMessage({
+      type: 'DISABLE_ENCRYPTION',
+      secret: encryptionCurrentInput.value,
+      discardHistory
+    });
+    if (!result.success) {
+      alert(`Could not turn off encryption: ${result.error}`);
+      return;
+    }
+    encryptionCurrentInput.value = '';
+    recoveryKeyBox.hidden = true;
+    loadEncryptionStatus();
+    reloadHistoryViews();
+  } catch (error) {
+    console.error('Error disabling encryption:', error);
+    alert('Failed to turn off encryption. Please try again.');
+  }
+}
+
+/**
+ * Retry delivery immediately, skipping the remaining backoff
+ */
+async function retryForwarder() {
+  try {
+    await chrome.runtime.sendMessage({ type: 'FLUSH_FORWARDER' });
+    loadForwarderStatus();
+  } catch (error) {
+    console.error('Error retrying forwarder:', error);
+  }
+}
+
+/**
+ * Show the domain detail view for #domain=<host>, otherwise the overview
+ */
+function handleRoute() {
+  const match = window.location.hash.match(/^#domain=(.+)$/);
+  currentDomain = match ? decodeURIComponent(match[1]) : null;
+  
+  overviewView.hidden = !!currentDomain;
+  domainView.hidden = !currentDomain;
+  
+  if (currentDomain) {
+    window.scrollTo(0, 0);
+    loadDomainView(currentDomain);
+  }
+}
+
+/**
+ * Load everything the detail view needs for one domain
+ */
+async function loadDomainView(domain) {
+  domainNameEl.textContent = domain;
+  
+  try {
+    const [logsResponse, riskResponse] = await Promise.all([
+      chrome.runtime.sendMessage({ type: 'QUERY_LOGS', query: { domain } }),
+      chrome.runtime.sendMessage({ type: 'GET_DOMAIN_RISK', domain })
+    ]);
+    
+    // Ignore responses for a domain the user already navigated away from
+    if (domain === currentDomain) {
+      displayDomainView(logsResponse.logs || [], riskResponse.risk);
+    }
+  } catch (error) {
+    console.error('Error loading domain details:', error);
+    domainTimelineTbody.innerHTML = '<tr><td colspan="5" class="no-data">Error loading domain details</td></tr>';
+  }
+}
+
+/**
+ * Render the domain detail view (logs are most recent first)
+ */
+function displayDomainView(logs, risk) {
+  domainEventCountEl.textContent = logs.length;
+  domainFirstSeenEl.textContent = logs.length ? new Date(logs[logs.length - 1].timestamp).toLocaleString() : '—';
+  domainLastSeenEl.textContent = logs.length ? new Date(logs[0].timestamp).toLocaleString() : '—';
+  domainRiskEl.innerHTML = risk
+    ? `${risk.score}/100 <span class="risk-level ${risk.level}">${risk.level}</span>`
+    : '—';
+  
+  // Permission breakdown
+  const byType = new Map();
+  logs.forEach(log => {
+    byType.set(log.permissionType, (byType.get(log.permissionType) || 0) + 1);
+  });
+  domainBreakdownEl.innerHTML = '';
+  Array.from(byType.entries())
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([permissionType, count]) => {
+      const card = document.createElement('div');
+      card.className = 'stat-card';
+      card.innerHTML = `
+        <div class="stat-icon">${getPermissionIcon(permissionType)}</div>
+        <div class="stat-content">
+          <div class="stat-value">${count}</div>
+          <div class="stat-label">${escapeHtml(formatPermissionName(permissionType))}</div>
+        </div>
+      `;
+      domainBreakdownEl.appendChild(card);
+    });
+  
+  // Pages that triggered access
+  const pages = new Map();
+  logs.forEach(log => {
+    if (!pages.has(log.url)) {
+      pages.set(log.url, { title: log.pageTitle, count: 0, lastSeen: log.timestamp });
+    }
+    pages.get(log.url).count++;
+  });
+  domainPagesTbody.innerHTML = pages.size === 0
+    ? '<tr><td colspan="4" class="no-data">No pages recorded</td></tr>'
+    : '';
+  pages.forEach((page, url) => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${escapeHtml(page.title || '(untitled)')}</td>
+      <td class="url-cell" title="${escapeHtml(url)}">${escapeHtml(url)}</td>
+      <td>${page.count}</td>
+      <td class="timestamp-cell">${new Date(page.lastSeen).toLocaleString()}</td>
+    `;
+    domainPagesTbody.appendChild(row);
+  });
+  
+  // Camera / microphone active-stopped history, with session durations when known
+  const sessionsById = new Map(allSessions.map(session => [session.id, session]));
+  const mediaLogs = logs.filter(log =>
+    ['camera', 'microphone'].includes(log.permissionType) && ['active', 'stopped'].includes(log.action)
+  );
+  domainMediaTbody.innerHTML = mediaLogs.length === 0
+    ? '<tr><td colspan="5" class="no-data">No camera or microphone activity</td></tr>'
+    : '';
+  mediaLogs.forEach(log => {
+    const session = sessionsById.get((log.metadata || {}).sessionId);
+    let sessionText = '—';
+    if (session && log.action === 'stopped' && session.duration !== null) {
+      sessionText = `Lasted ${formatDuration(session.duration)}`;
+    } else if (session && !session.endReason) {
+      sessionText = '<span class="live-indicator">● Live</span>';
+    }
+    
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${formatPermissionBadge(log.permissionType)}</td>
+      <td class="action-cell">${escapeHtml(log.action)}</td>
+      <td class="timestamp-cell">${escapeHtml(log.dateFormatted)}</td>
+      <td>${sessionText}</td>
+      <td class="details-cell">${escapeHtml(formatMetadata(log.metadata))}</td>
+    `;
+    domainMediaTbody.appendChild(row);
+  });
+  
+  // Full timeline
+  domainTimelineTbody.innerHTML = logs.length === 0
+    ? '<tr><td colspan="5" class="no-data">No history for this domain</td></tr>'
+    : '';
+  logs.forEach(log => {
+    const row = document.createElement('tr');
+    if (log.backgroundAccess) {
+      row.className = 'background-row';
+    } else if (isSensitiveClipboardRead(log)) {
+      row.className = 'sensitive-row';
+    }
+    row.innerHTML = `
+      <td>${formatPermissionBadge(log.permissionType)}</td>
+      <td class="action-cell">${formatAction(log)}</td>
+      <td class="timestamp-cell">${escapeHtml(log.dateFormatted)}</td>
+      <td class="url-cell" title="${escapeHtml(log.url)}">${escapeHtml(log.url)}</td>
+      <td class="details-cell">${escapeHtml(formatMetadata(log.metadata))}</td>
+    `;
+    domainTimelineTbody.appendChild(row);
+  });
+}
+
+/**
+ * Clear the history of the domain currently shown
+ */
+async function clearDomainHistory() {
+  if (!currentDomain) {
+    return;
+  }
+  if (!confirm(`Clear all history for ${currentDomain}? This action cannot be undone.`)) {
+    return;
+  }
+  
+  try {
+    const result = await chrome.runtime.sendMessage({ type: 'CLEAR_DOMAIN_LOGS', domain: currentDomain });
+    if (!result.success) {
+      alert(`Could not clear domain history: ${result.error}`);
+      return;
+    }
+    window.location.hash = '';
+    loadLogs();
+    loadRiskScores();
+    loadMediaSessions();
+  } catch (error) {
+    console.error('Error clearing domain history:', error);
+    alert('Failed to clear domain history. Please try again.');
+  }
+}
+
+/**
+ * Setup event listeners
+ */
+function setupEventListeners() {
+  filterPermission.addEventListener('change', applyFilters);
+  searchDomain.addEventListener('input', applyFilters);
+  filterOrigin.addEventListener('change', applyFilters);
+  filterThirdParty.addEventListener('change', applyFilters);
+  filterHidden.addEventListener('change', applyFilters);
+  groupBySelect.addEventListener('change', displayRequestBreakdown);
+  chartBucketSelect.addEventListener('change', displayTimelineChart);
+  timelineChartEl.addEventListener('click', handleChartClick);
+  timelineLegendEl.addEventListener('click', handleChartClick);
+  resetFiltersBtn.addEventListener('click', resetFilters);
+  prevPageBtn.addEventListener('click', () => changePage(-1));
+  nextPageBtn.addEventListener('click', () => changePage(1));
+  exportCsvBtn.addEventListener('click', exportAsCSV);
+  exportMdBtn.addEventListener('click', exportAsMarkdown);
+  exportJsonBtn.addEventListener('click', exportAsJSON);
+  exportNdjsonBtn.addEventListener('click', () =>
+    exportAsLines(formatNdjsonLine, 'permission-analyzer-logs.ndjson', 'application/x-ndjson'));
+  exportCefBtn.addEventListener('click', () =>
+    exportAsLines(log => formatCefLine(log, chrome.runtime.getManifest().version), 'permission-analyzer-logs.cef', 'text/plain'));
+  exportSyslogBtn.addEventListener('click', () =>
+    exportAsLines(formatSyslogLine, 'permission-analyzer-logs.log', 'text/plain'));
+  importJsonBtn.addEventListener('click', () => importFileInput.click());
+  importFileInput.addEventListener('change', () => {
+    if (importFileInput.files.length > 0) {
+      importFromFile(importFileInput.files[0]);
+    }
+    importFileInput.value = ''; // Allow re-importing the same file
+  });
+  clearAllBtn.addEventListener('click', clearAllLogs);
+  viewDigestsBtn.addEventListener('click', () => {
+    window.location.href = chrome.runtime.getURL('digest/digest.html');
+  });
+  addPolicyBtn.addEventListener('click', addPolicyRule);
+  clearDomainBtn.addEventListener('click', clearDomainHistory);
+  addNotifyRuleBtn.addEventListener('click', addNotificationRule);
+  saveNotificationSettingsBtn.addEventListener('click', saveNotificationSettings);
+  notifyTbody.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-notify-rule-id]');
+    if (button) {
+      deleteNotificationRule(button.dataset.notifyRuleId);
+    }
+  });
+  forwarderTransportSelect.addEventListener('change', updateForwarderFields);
+  saveForwarderBtn.addEventListener('click', saveForwarder);
+  retryForwarderBtn.addEventListener('click', retryForwarder);
+  redactionUrlModeSelect.addEventListener('change', updateRedactionFields);
+  redactionTitleModeSelect.addEventListener('change', updateRedactionFields);
+  saveRedactionBtn.addEventListener('click', saveRedactionSettings);
+  applyRedactionBtn.addEventListener('click', applyRedactionToHistory);
+  saveRetentionBtn.addEventListener('click', saveRetentionSettings);
+  unlockHistoryBtn.addEventListener('click', unlockHistory);
+  unlockSecretInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      unlockHistory();
+    }
+  });
+  enableEncryptionBtn.addEventListener('click', enableEncryption);
+  changePassphraseBtn.addEventListener('click', changePassphrase);
+  lockHistoryBtn.addEventListener('click', lockHistory);
+  disableEncryptionBtn.addEventListener('click', () => disableEncryption(false));
+  discardEncryptedBtn.addEventListener('click', () => disableEncryption(true));
+  // The background updates the queue and status as batches go out
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (changes.forwardStatus || changes.forwardQueue)) {
+      loadForwarderStatus();
+    }
+    // Unlocked or locked from the popup or another dashboard tab
+    if (area === 'session' && changes.historyKey) {
+      loadEncryptionStatus();
+      reloadHistoryViews();
+    }
+    // The administrator pushed a new policy
+    if (area === 'managed') {
+      loadManagedState();
+      loadPolicyRules();
+      loadNotificationRules();
+      loadNotificationSettings();
+      loadForwarder();
+      loadRedactionSettings();
+      loadRetentionSettings();
+    }
+  });
+  window.addEventListener('hashchange', handleRoute);
+  policyTbody.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-rule-id]');
+    if (button) {
+      deletePolicyRule(button.dataset.ruleId);
+    }
+  });
+}
+
+/**
+ * Helper functions
+ */
+function getPermissionIcon(permissionType) {
+  const icons = {
+    'camera': '📷',
+    'microphone': '🎤',
+    'screen-capture': '🖥️',
+    'location': '📍',
+    'clipboard-read': '📋',
+    'clipboard-write': '📋',
+    'notifications': '🔔',
+    'usb': '🔌',
+    'hid': '🎮',
+    'serial': '🔗',
+    'bluetooth': '📶',
+    'midi': '🎹',
+    'fingerprinting': '🕵️',
+    'tamper': '⚠️'
   };
-  return names[permissionType] || permissionType;
+  return icons[permissionType] || '🔒';
+}
+
+/**
+ * Clipboard reads classified as password, card, IBAN or one-time code
+ */
+function isSensitiveClipboardRead(log) {
+  return log.permissionType === 'clipboard-read' &&
+    log.action === 'accessed' &&
+    (log.metadata || {}).sensitivity === 'high';
+}
+
+/**
+ * Action cell contents, flagging background access and sensitive clipboard reads
+ */
+function formatAction(log) {
+  let action = escapeHtml(log.action);
+  if (log.backgroundAccess) {
+    action += ' <span class="sensitive-flag background-flag">Hidden tab</span>';
+  }
+  if (isSensitiveClipboardRead(log)) {
+    action += ' <span class="sensitive-flag">Sensitive</span>';
+  }
+  return action;
+}
+
+/**
+ * Summarize log metadata as "key: value" pairs
+ * Device lists are shortened to vendor:product IDs or names
+ */
+function formatMetadata(metadata) {
+  if (!metadata) {
+    return '';
+  }
+  
+  return Object.entries(metadata).map(([key, value]) => {
+    if (key === 'categories' && Array.isArray(value)) {
+      return `${key}: ${value.join(', ')}`;
+    }
+    if (key === 'devices' && Array.isArray(value)) {
+      const devices = value.map(device =>
+        device.vendorId ? `${device.vendorId}:${device.productId || '?'}` : (device.name || '?')
+      );
+      return `${key}: ${devices.join(', ')}`;
+    }
+    if (typeof value === 'object' && value !== null) {
+      return `${key}: ${JSON.stringify(value)}`;
+    }
+    return `${key}: ${value}`;
+  }).join(' • ');
+}
+
+/**
+ * Top-level site of a log (logs recorded before frame attribution only have a domain)
+ */
+function getTopDomain(log) {
+  return log.topDomain || log.domain;
+}
+
+/**
+ * Domain cell content: the frame domain plus the top-level site when they differ
+ */
+function formatDomainCell(log) {
+  const topDomain = getTopDomain(log);
+  let html = formatDomainLink(log.domain);
+  
+  if (log.isThirdPartyFrame) {
+    html += '<span class="third-party-badge" title="Used from a third-party iframe">3rd-party</span>';
+  }
+  if (topDomain !== log.domain) {
+    html += `<div class="frame-context">in frame on ${formatDomainLink(topDomain)}</div>`;
+  }
+  
+  return html;
+}
+
+/**
+ * Link to a domain's detail view
+ */
+function formatDomainLink(domain) {
+  return `<a class="domain-link" href="#domain=${encodeURIComponent(domain)}">${escapeHtml(domain)}</a>`;
+}
+
+/**
+ * Permission badge with icon and name
+ */
+function formatPermissionBadge(permissionType) {
+  return `<span class="permission-badge ${escapeHtml(permissionType)}">
+    ${getPermissionIcon(permissionType)} ${escapeHtml(formatPermissionName(permissionType))}
+  </span>`;
 }
 
+/**
+ * Escape text for use in markup, including quoted attribute values
+ */
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
\ No newline at end of file
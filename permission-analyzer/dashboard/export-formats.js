@@ -0,0 +1,151 @@
+/**
+ * PERMISSION ANALYZER - EXPORT FORMATS
+ * Line formats for the SIEM exports (NDJSON, CEF, syslog). Kept free of the
+ * DOM and extension APIs so the mapping can be tested under Node:
+ * loaded as a plain script by the dashboard, required as a CommonJS module by the tests.
+ */
+
+// CEF severity (0-10) per permission type; anything else is 3
+const CEF_SEVERITY = {
+  'tamper': 8,
+  'screen-capture': 7,
+  'camera': 6,
+  'microphone': 6,
+  'location': 5,
+  'clipboard-read': 5,
+  'fingerprinting': 5
+};
+
+// RFC 5424 facility 13 (log audit); structured data uses the documentation enterprise number
+const SYSLOG_FACILITY = 13;
+const SYSLOG_SD_ID = 'permission@32473';
+
+// Any line break; each event must stay on one line
+const LINE_BREAKS = /\r\n|\r|\n/g;
+
+/**
+ * Human-readable name for a permission type
+ */
+function formatPermissionName(permissionType) {
+  const names = {
+    'camera': 'Camera',
+    'microphone': 'Microphone',
+    'screen-capture': 'Screen Capture',
+    'location': 'Location',
+    'clipboard-read': 'Clipboard Read',
+    'clipboard-write': 'Clipboard Write',
+    'notifications': 'Notifications',
+    'usb': 'USB',
+    'hid': 'HID',
+    'serial': 'Serial',
+    'bluetooth': 'Bluetooth',
+    'midi': 'MIDI',
+    'fingerprinting': 'Fingerprinting',
+    'tamper': 'Tamper Attempt'
+  };
+  return names[permissionType] || permissionType;
+}
+
+/**
+ * The stable field set shared by the SIEM exports (NDJSON, CEF, syslog)
+ */
+function toSiemRecord(log) {
+  return {
+    timestamp: log.timestamp,
+    permissionType: log.permissionType,
+    action: log.action,
+    domain: log.domain,
+    url: log.url || '',
+    topDomain: log.topDomain || log.domain,
+    thirdPartyFrame: !!log.isThirdPartyFrame,
+    id: log.id
+  };
+}
+
+/**
+ * One JSON object per line
+ */
+function formatNdjsonLine(log) {
+  return JSON.stringify(toSiemRecord(log));
+}
+
+/**
+ * ArcSight CEF:0 line
+ * Header fields escape "\" and "|" (line breaks become spaces);
+ * extension values escape "\", "=" and encode line breaks as \n
+ */
+function formatCefLine(log, version) {
+  const record = toSiemRecord(log);
+  const header = value => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\|/g, '\\|')
+    .replace(LINE_BREAKS, ' ');
+  const ext = value => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/=/g, '\\=')
+    .replace(LINE_BREAKS, '\\n');
+
+  const extension = [
+    `rt=${Date.parse(record.timestamp)}`,
+    `act=${ext(record.action)}`,
+    `dhost=${ext(record.domain)}`,
+    `request=${ext(record.url)}`,
+    `cs1Label=permissionType cs1=${ext(record.permissionType)}`,
+    `cs2Label=topDomain cs2=${ext(record.topDomain)}`,
+    `cs3Label=thirdPartyFrame cs3=${record.thirdPartyFrame}`,
+    `externalId=${ext(record.id)}`
+  ].join(' ');
+
+  return [
+    'CEF:0',
+    'Permission Analyzer',
+    'Permission Analyzer',
+    header(version),
+    header(`${record.permissionType}:${record.action}`),
+    header(`${formatPermissionName(record.permissionType)} ${record.action}`),
+    CEF_SEVERITY[record.permissionType] || 3,
+    extension
+  ].join('|');
+}
+
+/**
+ * RFC 5424 syslog line with the fields as structured data
+ * <PRI>1 TIMESTAMP HOSTNAME APP-NAME PROCID MSGID [SD] MSG
+ * Parameter values escape "\", '"' and "]" and encode line breaks as \n
+ */
+function formatSyslogLine(log) {
+  const record = toSiemRecord(log);
+  // Warning for tampering and refused requests, informational otherwise
+  const isWarning = record.permissionType === 'tamper' || ['blocked', 'denied', 'failed'].includes(record.action);
+  const priority = SYSLOG_FACILITY * 8 + (isWarning ? 4 : 6);
+  const param = value => String(value)
+    .replace(/[\\"\]]/g, match => `\\${match}`)
+    .replace(LINE_BREAKS, '\\n');
+  // MSGID is limited to 32 printable ASCII characters
+  const msgId = record.permissionType.replace(/[^\x21-\x7e]/g, '').slice(0, 32) || '-';
+
+  const structuredData = `[${SYSLOG_SD_ID}` +
+    ` permissionType="${param(record.permissionType)}"` +
+    ` action="${param(record.action)}"` +
+    ` domain="${param(record.domain)}"` +
+    ` url="${param(record.url)}"` +
+    ` topDomain="${param(record.topDomain)}"` +
+    ` thirdPartyFrame="${record.thirdPartyFrame}"` +
+    ` id="${param(record.id)}"]`;
+
+  const message = `${record.permissionType} ${record.action} on ${record.domain}`.replace(LINE_BREAKS, ' ');
+  return `<${priority}>1 ${record.timestamp} - permission-analyzer - ${msgId} ${structuredData} ${message}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CEF_SEVERITY,
+    SYSLOG_FACILITY,
+    SYSLOG_SD_ID,
+    formatPermissionName,
+    toSiemRecord,
+    formatNdjsonLine,
+    formatCefLine,
+    formatSyslogLine
+  };
+}
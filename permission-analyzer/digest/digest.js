@@ -0,0 +1,247 @@
+// DOM Elements
+const frequencySelect = document.getElementById('digest-frequency');
+const generateBtn = document.getElementById('generate-digest');
+const openDashboardBtn = document.getElementById('open-dashboard');
+const digestListEl = document.getElementById('digest-list');
+const digestTitleEl = document.getElementById('digest-title');
+const digestPeriodEl = document.getElementById('digest-period');
+const typesTbody = document.getElementById('digest-types-tbody');
+const newDomainsTbody = document.getElementById('digest-new-tbody');
+const hiddenTabTbody = document.getElementById('digest-hidden-tbody');
+
+// Global variables
+let digests = [];
+
+// Initialize digest page
+document.addEventListener('DOMContentLoaded', () => {
+  loadSettings();
+  loadDigests();
+  setupEventListeners();
+});
+
+/**
+ * Load the digest schedule (read-only when the enterprise policy sets it)
+ */
+async function loadSettings() {
+  try {
+    const [settings, { lockedKeys = [] }] = await Promise.all([
+      chrome.runtime.sendMessage({ type: 'GET_SETTINGS' }),
+      chrome.runtime.sendMessage({ type: 'GET_MANAGED_STATE' })
+    ]);
+    const locked = lockedKeys.includes('digestFrequency');
+    frequencySelect.value = settings.digestFrequency || 'off';
+    frequencySelect.disabled = locked;
+    frequencySelect.title = locked ? "Managed by your organization's policy" : '';
+  } catch (error) {
+    console.error('Error loading settings:', error);
+  }
+}
+
+/**
+ * Load past digests and show the one in the URL hash (or the latest)
+ */
+async function loadDigests() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_DIGESTS' });
+    digests = response.digests || [];
+    if (response.locked) {
+      digestListEl.innerHTML = '<li class="no-data">The history is locked. Unlock it from the dashboard or popup to see digests.</li>';
+      return;
+    }
+    displayDigestList();
+    showSelectedDigest();
+  } catch (error) {
+    console.error('Error loading digests:', error);
+    digestListEl.innerHTML = '<li class="no-data">Error loading digests</li>';
+  }
+}
+
+/**
+ * Display the list of past digests
+ */
+function displayDigestList() {
+  if (digests.length === 0) {
+    digestListEl.innerHTML = '<li class="no-data">No digests yet</li>';
+    return;
+  }
+  
+  digestListEl.innerHTML = digests.map(digest => `
+    <li>
+      <a href="#${encodeURIComponent(digest.id)}" data-digest-id="${escapeHtml(digest.id)}">
+        ${formatPeriod(digest)}
+        <span class="digest-list-meta">${digest.frequency} • ${digest.total} events</span>
+      </a>
+    </li>
+  `).join('');
+}
+
+/**
+ * Show the digest named in the hash, falling back to the most recent one
+ */
+function showSelectedDigest() {
+  const id = decodeURIComponent(window.location.hash.slice(1));
+  const digest = digests.find(item => item.id === id) || digests[0];
+  
+  digestListEl.querySelectorAll('a').forEach(link => {
+    link.classList.toggle('active', !!digest && link.dataset.digestId === digest.id);
+  });
+  
+  if (digest) {
+    displayDigest(digest);
+  }
+}
+
+/**
+ * Render one digest
+ */
+function displayDigest(digest) {
+  const periodName = digest.frequency === 'daily' ? 'day' : 'week';
+  digestTitleEl.textContent = `${digest.frequency === 'daily' ? 'Daily' : 'Weekly'} digest: ${formatPeriod(digest)}`;
+  digestPeriodEl.innerHTML = `
+    <span>Events: <strong>${digest.total}</strong> ${formatChange(digest.total, digest.previousTotal)} vs. previous ${periodName}</span>
+    <span>New domains: <strong>${digest.newDomains.length}</strong></span>
+    <span>Hidden-tab domains: <strong>${digest.hiddenTab.length}</strong></span>
+  `;
+  
+  typesTbody.innerHTML = digest.byType.length === 0
+    ? '<tr><td colspan="4" class="no-data">No permission activity</td></tr>'
+    : digest.byType.map(entry => `
+      <tr>
+        <td>
+          <span class="permission-badge ${entry.permissionType}">
+            ${getPermissionIcon(entry.permissionType)} ${formatPermissionName(entry.permissionType)}
+          </span>
+        </td>
+        <td>${entry.count}</td>
+        <td>${entry.previous}</td>
+        <td>${formatChange(entry.count, entry.previous)}</td>
+      </tr>
+    `).join('');
+  
+  newDomainsTbody.innerHTML = formatDomainRows(digest.newDomains, 'No new domains this period');
+  hiddenTabTbody.innerHTML = formatDomainRows(digest.hiddenTab, 'No access from hidden tabs');
+}
+
+/**
+ * Table rows for a domain summary
+ */
+function formatDomainRows(domains, emptyText) {
+  if (domains.length === 0) {
+    return `<tr><td colspan="3" class="no-data">${emptyText}</td></tr>`;
+  }
+  return domains.map(entry => `
+    <tr>
+      <td class="domain-cell">
+        <a class="domain-link" href="../dashboard/dashboard.html#domain=${encodeURIComponent(entry.domain)}">${escapeHtml(entry.domain)}</a>
+      </td>
+      <td>${entry.permissionTypes.map(getPermissionIcon).join(' ')}</td>
+      <td>${entry.count}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Generate a digest for the current schedule right away
+ */
+async function generateDigest() {
+  try {
+    const frequency = frequencySelect.value === 'off' ? 'weekly' : frequencySelect.value;
+    const { digest } = await chrome.runtime.sendMessage({ type: 'GENERATE_DIGEST', frequency });
+    if (!digest) {
+      const { locked } = await chrome.runtime.sendMessage({ type: 'GET_ENCRYPTION_STATUS' });
+      alert(locked
+        ? 'The history is locked. Unlock it from the dashboard or popup first.'
+        : 'Failed to generate a digest. Please try again.');
+      return;
+    }
+    window.location.hash = encodeURIComponent(digest.id);
+    loadDigests();
+  } catch (error) {
+    console.error('Error generating digest:', error);
+  }
+}
+
+/**
+ * Setup event listeners
+ */
+function setupEventListeners() {
+  frequencySelect.addEventListener('change', async () => {
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'UPDATE_SETTINGS',
+        settings: { digestFrequency: frequencySelect.value }
+      });
+    } catch (error) {
+      console.error('Error updating settings:', error);
+    }
+  });
+  generateBtn.addEventListener('click', generateDigest);
+  openDashboardBtn.addEventListener('click', () => {
+    window.location.href = chrome.runtime.getURL('dashboard/dashboard.html');
+  });
+  window.addEventListener('hashchange', showSelectedDigest);
+}
+
+/**
+ * Helper functions
+ */
+function formatPeriod(digest) {
+  const options = { month: 'short', day: 'numeric' };
+  const start = new Date(digest.periodStart).toLocaleDateString(undefined, options);
+  const end = new Date(digest.periodEnd).toLocaleDateString(undefined, options);
+  return start === end ? end : `${start} – ${end}`;
+}
+
+function formatChange(current, previous) {
+  const change = current - previous;
+  if (change === 0) {
+    return '<span>±0</span>';
+  }
+  return `<span class="${change > 0 ? 'change-up' : 'change-down'}">${change > 0 ? '+' : ''}${change}</span>`;
+}
+
+function getPermissionIcon(permissionType) {
+  const icons = {
+    'camera': '📷',
+    'microphone': '🎤',
+    'screen-capture': '🖥️',
+    'location': '📍',
+    'clipboard-read': '📋',
+    'clipboard-write': '📋',
+    'notifications': '🔔',
+    'usb': '🔌',
+    'hid': '🎮',
+    'serial': '🔗',
+    'bluetooth': '📶',
+    'midi': '🎹',
+    'fingerprinting': '🕵️',
+    'tamper': '⚠️'
+  };
+  return icons[permissionType] || '🔒';
+}
+
+function formatPermissionName(permissionType) {
+  const names = {
+    'camera': 'Camera',
+    'microphone': 'Microphone',
+    'screen-capture': 'Screen Capture',
+    'location': 'Location',
+    'clipboard-read': 'Clipboard Read',
+    'clipboard-write': 'Clipboard Write',
+    'notifications': 'Notifications',
+    'usb': 'USB',
+    'hid': 'HID',
+    'serial': 'Serial',
+    'bluetooth': 'Bluetooth',
+    'midi': 'MIDI',
+    'fingerprinting': 'Fingerprinting',
+    'tamper': 'Tamper Attempt'
+  };
+  return names[permissionType] || permissionType;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
@@ -1,6 +1,6 @@
 /**
  * PERMISSION ANALYZER - PROFESSIONAL GRADE (SMART LOCATION DETECTION)
- * Purpose: Detect ACTIVE permission usage intelligently
+ * Purpose: Detect ACTIVE permission usage intelligently, plus denied and failed requests
  * 
  * Location Detection Logic:
  * - Logs on FIRST access per page ✓
@@ -12,6 +12,61 @@
 (function() {
   'use strict';
 
+  // ============================================================
+  // PRIVATE CHANNEL
+  // Runs as a MAIN-world content script at document_start, so it
+  // starts before any page script. content.js hands over a
+  // per-injection secret with one synchronous event; events then use
+  // secret names, so page scripts can neither forge logs nor push a
+  // fake policy. DOM primitives and the confirm dialog used by "ask"
+  // policies are captured before any page script can replace them.
+  // ============================================================
+
+  const safeDispatchEvent = EventTarget.prototype.dispatchEvent;
+  const safeAddEventListener = EventTarget.prototype.addEventListener;
+  const safeRemoveEventListener = EventTarget.prototype.removeEventListener;
+  const SafeCustomEvent = window.CustomEvent;
+  const safeConfirm = window.confirm;
+
+  const HANDSHAKE = {
+    connect: 'PERMISSION_ANALYZER_CONNECT',
+    request: 'PERMISSION_ANALYZER_REQUEST'
+  };
+
+  // Filled in once content.js has connected; nothing is sent before that
+  const CHANNEL = {};
+
+  /**
+   * Take the secret from content.js and start listening on the private channel
+   */
+  function onConnect(event) {
+    if (CHANNEL.detected || typeof event.detail !== 'string') {
+      return;
+    }
+    const channelId = event.detail;
+    CHANNEL.detected = `PERMISSION_DETECTED_${channelId}`;
+    CHANNEL.policy = `PERMISSION_POLICY_${channelId}`;
+    CHANNEL.state = `PERMISSION_STATE_${channelId}`;
+    event.preventDefault(); // Tells content.js the secret arrived
+    event.stopImmediatePropagation();
+    safeRemoveEventListener.call(window, HANDSHAKE.connect, onConnect);
+    safeAddEventListener.call(window, CHANNEL.policy, applyPolicy);
+  }
+
+  // content.js may have started first - then ask it to connect now
+  safeAddEventListener.call(window, HANDSHAKE.connect, onConnect);
+  safeDispatchEvent.call(window, new SafeCustomEvent(HANDSHAKE.request));
+
+  /**
+   * Send an event that only content.js knows how to listen for
+   */
+  function sendToContentScript(type, detail) {
+    if (!type) {
+      return; // Not connected
+    }
+    safeDispatchEvent.call(window, new SafeCustomEvent(type, { detail: detail }));
+  }
+
   // ============================================================
   // DEDUPLICATION SYSTEM
   // ============================================================
@@ -28,11 +83,117 @@
     lastVisibilityChange: 0 // Track when visibility changes
   };
 
+  // ============================================================
+  // POLICY ENFORCEMENT
+  // Decisions are resolved per permission type by background.js
+  // and pushed down by content.js: 'allow' | 'block' | 'ask'
+  // The first push arrives shortly after page scripts start, so calls
+  // made before it are held until it does. Only synchronous APIs
+  // (the Notification constructor) cannot wait and are refused.
+  // ============================================================
+
+  // Fail open, as before, if content.js never answers (e.g. the extension was reloaded)
+  const POLICY_WAIT_TIMEOUT = 3000;
+
+  const policyState = {
+    known: false,
+    decisions: {},
+    answers: {} // 'ask' answers, remembered for the lifetime of the page
+  };
+
+  let markPolicyKnown;
+  const policyKnown = new Promise(resolve => {
+    markPolicyKnown = function() {
+      policyState.known = true;
+      resolve();
+    };
+  });
+  setTimeout(markPolicyKnown, POLICY_WAIT_TIMEOUT);
+
+  /**
+   * Take a policy pushed down by content.js
+   */
+  function applyPolicy(event) {
+    const detail = event.detail || {};
+    policyState.decisions = detail.decisions || {};
+    policyState.answers = {};
+    markPolicyKnown();
+  }
+
+  /**
+   * Replay a wrapped call once the site policy is known
+   */
+  function holdForPolicy(wrapper, thisArg, args) {
+    return policyKnown.then(() => wrapper.apply(thisArg, args));
+  }
+
+  /**
+   * Check whether the site policy lets a permission through
+   */
+  function isAllowedByPolicy(permissionType) {
+    // Only synchronous calls get here before the policy is known - refuse rather than guess
+    if (!policyState.known) {
+      return false;
+    }
+
+    const decision = policyState.decisions[permissionType] || 'allow';
+
+    if (decision === 'block') {
+      return false;
+    }
+
+    if (decision === 'ask') {
+      if (!(permissionType in policyState.answers)) {
+        const permissionName = permissionType.replace('-', ' ');
+        policyState.answers[permissionType] = safeConfirm.call(window,
+          `Permission Analyzer: allow ${window.location.hostname || window.origin} to use ${permissionName}?`
+        );
+      }
+      return policyState.answers[permissionType];
+    }
+
+    return true;
+  }
+
+  /**
+   * Error thrown to the page when a policy blocks a request
+   */
+  function createPolicyError() {
+    return new DOMException('Permission denied by Permission Analyzer policy', 'NotAllowedError');
+  }
+
+  const SafeGeolocationPositionError = window.GeolocationPositionError;
+
+  /**
+   * Geolocation reports errors as GeolocationPositionError, not DOMException
+   * The page cannot construct one, so this mimics it: same prototype
+   * (instanceof works), code 1 and the code constants on the instance
+   */
+  function createGeolocationPolicyError() {
+    const proto = SafeGeolocationPositionError ? SafeGeolocationPositionError.prototype : Object.prototype;
+    return Object.create(proto, {
+      code: { value: 1, enumerable: true },
+      message: { value: 'User denied Geolocation', enumerable: true },
+      PERMISSION_DENIED: { value: 1 },
+      POSITION_UNAVAILABLE: { value: 2 },
+      TIMEOUT: { value: 3 }
+    });
+  }
+
+  /**
+   * Media types requested by getUserMedia constraints that the policy blocks
+   */
+  function getBlockedMediaTypes(constraints) {
+    return getRequestedMediaTypes(constraints).filter(type => !isAllowedByPolicy(type));
+  }
+
   /**
    * Log a permission usage event
    */
-  function notifyPermissionUsage(permissionType, action) {
-    const eventKey = `${permissionType}-${action}`;
+  function notifyPermissionUsage(permissionType, action, metadata) {
+    // Media sessions are deduplicated per session, not per type
+    const sessionKey = metadata && metadata.sessionId ? `-${metadata.sessionId}` : '';
+    const eventKey = `${permissionType}-${action}${sessionKey}`;
     const now = Date.now();
     
     // Check if we recently logged this exact event
@@ -54,51 +215,144 @@
     }
     
     // Dispatch the event
-    window.dispatchEvent(new CustomEvent('PERMISSION_DETECTED', {
-      detail: {
-        permissionType: permissionType,
-        action: action || 'accessed'
-      }
-    }));
+    sendToContentScript(CHANNEL.detected, {
+      permissionType: permissionType,
+      action: action || 'accessed',
+      metadata: metadata || {}
+    });
+  }
+
+  /**
+   * Report how many location watchers are open (drives the live toolbar indicator, not logged)
+   */
+  function reportLocationWatchers() {
+    sendToContentScript(CHANNEL.state, { locationWatchers: locationTracking.activeWatchers.size });
+  }
+
+  // ============================================================
+  // FAILED REQUEST LOGGING
+  // Refusals are logged as 'denied', other errors as 'failed',
+  // with the error name (NotAllowedError, PERMISSION_DENIED, ...)
+  // ============================================================
+
+  const DENIAL_ERRORS = ['NotAllowedError', 'SecurityError', 'PERMISSION_DENIED', 'denied', 'dismissed'];
+
+  const GEOLOCATION_ERROR_NAMES = {
+    1: 'PERMISSION_DENIED',
+    2: 'POSITION_UNAVAILABLE',
+    3: 'TIMEOUT'
+  };
+
+  /**
+   * Log a request that did not succeed
+   */
+  function notifyPermissionFailure(permissionType, errorName) {
+    const action = DENIAL_ERRORS.includes(errorName) ? 'denied' : 'failed';
+    notifyPermissionUsage(permissionType, action, { error: errorName || 'UnknownError' });
+  }
+
+  /**
+   * Media types requested by getUserMedia constraints
+   */
+  function getRequestedMediaTypes(constraints) {
+    const requested = [];
+    if (constraints && constraints.video) requested.push('camera');
+    if (constraints && constraints.audio) requested.push('microphone');
+    return requested;
   }
 
   // ============================================================
   // CAMERA & MICROPHONE DETECTION
   // ============================================================
   
+  // Open capture sessions: one per stream and permission type
+  const mediaSessions = new Map();
+
+  /**
+   * Start a capture session and log 'active' with a stable session ID
+   * background.js pairs it with the matching 'stopped' event
+   */
+  function startMediaSession(permissionType, tracks, extraMetadata) {
+    const session = {
+      sessionId: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      permissionType: permissionType,
+      openTracks: new Set(tracks),
+      hiddenDuringSession: document.visibilityState !== 'visible'
+    };
+    mediaSessions.set(session.sessionId, session);
+    
+    notifyPermissionUsage(permissionType, 'active', Object.assign({
+      sessionId: session.sessionId,
+      trackLabels: tracks.map(track => track.label)
+    }, extraMetadata));
+    
+    tracks.forEach(track => monitorTrackEnd(track, session));
+  }
+
+  /**
+   * Log 'stopped' once the last track of a session is stopped by the page or ends on its own
+   */
+  function monitorTrackEnd(track, session) {
+    const endTrack = function() {
+      session.openTracks.delete(track);
+      if (session.openTracks.size === 0 && mediaSessions.has(session.sessionId)) {
+        mediaSessions.delete(session.sessionId);
+        notifyPermissionUsage(session.permissionType, 'stopped', {
+          sessionId: session.sessionId,
+          hiddenDuringSession: session.hiddenDuringSession
+        });
+      }
+    };
+    
+    const originalStop = track.stop.bind(track);
+    track.stop = function() {
+      endTrack();
+      return originalStop();
+    };
+    
+    // Also monitor track ended event (e.g. user clicks "Stop sharing")
+    track.addEventListener('ended', endTrack);
+  }
+
+  // Remember when a session was running while the tab was hidden
+  document.addEventListener('visibilitychange', function() {
+    if (document.visibilityState === 'hidden') {
+      mediaSessions.forEach(session => {
+        session.hiddenDuringSession = true;
+      });
+    }
+  }, false);
+  
+  /**
+   * Start camera and microphone sessions for a getUserMedia stream
+   */
+  function startUserMediaSessions(stream) {
+    const videoTracks = stream.getVideoTracks();
+    const audioTracks = stream.getAudioTracks();
+    if (videoTracks.length > 0) startMediaSession('camera', videoTracks);
+    if (audioTracks.length > 0) startMediaSession('microphone', audioTracks);
+  }
+
   if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
     const originalGetUserMedia = navigator.mediaDevices.getUserMedia.bind(navigator.mediaDevices);
     
-    navigator.mediaDevices.getUserMedia = function(constraints) {
+    navigator.mediaDevices.getUserMedia = function getUserMedia(constraints) {
+      if (!policyState.known) {
+        return holdForPolicy(getUserMedia, this, arguments);
+      }
+      const blockedTypes = getBlockedMediaTypes(constraints);
+      if (blockedTypes.length > 0) {
+        blockedTypes.forEach(type => notifyPermissionUsage(type, 'blocked'));
+        return Promise.reject(createPolicyError());
+      }
+
       // Call original function first
       return originalGetUserMedia(constraints).then(stream => {
-        // Successfully obtained media stream
-        if (constraints && constraints.video) {
-          notifyPermissionUsage('camera', 'active');
-        }
-        if (constraints && constraints.audio) {
-          notifyPermissionUsage('microphone', 'active');
-        }
-        
-        // Monitor when the stream ends
-        stream.getTracks().forEach(track => {
-          const originalStop = track.stop.bind(track);
-          track.stop = function() {
-            const permType = track.kind === 'video' ? 'camera' : 'microphone';
-            notifyPermissionUsage(permType, 'stopped');
-            return originalStop();
-          };
-          
-          // Also monitor track ended event
-          track.addEventListener('ended', function() {
-            const permType = track.kind === 'video' ? 'camera' : 'microphone';
-            notifyPermissionUsage(permType, 'stopped');
-          });
-        });
-        
+        // Successfully obtained media stream - one session per device kind
+        startUserMediaSessions(stream);
         return stream;
       }).catch(err => {
-        // Permission denied - don't log
+        getRequestedMediaTypes(constraints).forEach(type => notifyPermissionFailure(type, err && err.name));
         throw err;
       });
     };
@@ -107,19 +361,323 @@
   // Legacy getUserMedia support
   if (navigator.getUserMedia) {
     const legacyGetUserMedia = navigator.getUserMedia.bind(navigator);
-    navigator.getUserMedia = function(constraints, successCallback, errorCallback) {
+    navigator.getUserMedia = function getUserMedia(constraints, successCallback, errorCallback) {
+      if (!policyState.known) {
+        holdForPolicy(getUserMedia, this, arguments);
+        return;
+      }
+      const blockedTypes = getBlockedMediaTypes(constraints);
+      if (blockedTypes.length > 0) {
+        blockedTypes.forEach(type => notifyPermissionUsage(type, 'blocked'));
+        if (errorCallback) setTimeout(() => errorCallback(createPolicyError()), 0);
+        return;
+      }
+
       return legacyGetUserMedia(
         constraints,
         function(stream) {
-          if (constraints && constraints.video) notifyPermissionUsage('camera', 'active');
-          if (constraints && constraints.audio) notifyPermissionUsage('microphone', 'active');
+          startUserMediaSessions(stream);
           if (successCallback) successCallback(stream);
         },
-        errorCallback
+        function(err) {
+          getRequestedMediaTypes(constraints).forEach(type => notifyPermissionFailure(type, err && err.name));
+          if (errorCallback) errorCallback(err);
+        }
       );
     };
   }
 
+  // ============================================================
+  // SCREEN & TAB CAPTURE DETECTION
+  // ============================================================
+  
+  if (navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia) {
+    const originalGetDisplayMedia = navigator.mediaDevices.getDisplayMedia.bind(navigator.mediaDevices);
+    
+    navigator.mediaDevices.getDisplayMedia = function getDisplayMedia(options) {
+      if (!policyState.known) {
+        return holdForPolicy(getDisplayMedia, this, arguments);
+      }
+      if (!isAllowedByPolicy('screen-capture')) {
+        notifyPermissionUsage('screen-capture', 'blocked');
+        return Promise.reject(createPolicyError());
+      }
+      
+      return originalGetDisplayMedia(options).then(stream => {
+        const videoTrack = stream.getVideoTracks()[0];
+        const settings = videoTrack && videoTrack.getSettings ? videoTrack.getSettings() : {};
+        
+        // Every track of a capture (video + optional audio) belongs to the same session
+        // displaySurface: 'monitor' (screen), 'window' or 'browser' (tab)
+        startMediaSession('screen-capture', stream.getTracks(), {
+          displaySurface: settings.displaySurface || 'unknown',
+          systemAudio: stream.getAudioTracks().length > 0
+        });
+        
+        return stream;
+      }).catch(err => {
+        notifyPermissionFailure('screen-capture', err && err.name);
+        throw err;
+      });
+    };
+  }
+
+  // ============================================================
+  // HARDWARE DEVICE DETECTION (USB, HID, SERIAL, BLUETOOTH, MIDI)
+  // ============================================================
+  
+  /**
+   * Format a numeric USB vendor/product ID the way device tools show it (0x046d)
+   */
+  function toHexId(id) {
+    return typeof id === 'number' ? `0x${id.toString(16).padStart(4, '0')}` : undefined;
+  }
+
+  /**
+   * Copy request filters into plain data that survives the CustomEvent
+   */
+  function describeFilters(filters) {
+    try {
+      return JSON.parse(JSON.stringify(filters || [], (key, value) =>
+        (key === 'vendorId' || key === 'productId') ? toHexId(value) : value
+      ));
+    } catch (err) {
+      return [];
+    }
+  }
+
+  /**
+   * Identify a USB or HID device without exposing serial numbers
+   */
+  function describeDevice(device) {
+    return {
+      vendorId: toHexId(device.vendorId),
+      productId: toHexId(device.productId),
+      productName: device.productName || ''
+    };
+  }
+
+  /**
+   * Wrap a device API method so granted devices are logged with their metadata
+   * - requestDevice-style calls reject while blocked
+   * - getDevices-style calls resolve to an empty list while blocked
+   */
+  function wrapDeviceMethod(target, methodName, permissionType, action, describe) {
+    if (!target || typeof target[methodName] !== 'function') {
+      return;
+    }
+    
+    const originalMethod = target[methodName].bind(target);
+    const isEnumeration = action === 'enumerated';
+    
+    target[methodName] = function deviceMethod(options) {
+      if (!policyState.known) {
+        return holdForPolicy(deviceMethod, this, arguments);
+      }
+      if (!isAllowedByPolicy(permissionType)) {
+        notifyPermissionUsage(permissionType, 'blocked');
+        return isEnumeration ? Promise.resolve([]) : Promise.reject(createPolicyError());
+      }
+      
+      return originalMethod.apply(this, arguments).then(result => {
+        const metadata = describe(result, options || {});
+        // Enumerations that return nothing did not touch any device
+        if (metadata) {
+          notifyPermissionUsage(permissionType, action, metadata);
+        }
+        return result;
+      }).catch(err => {
+        // Closing a device chooser rejects with NotFoundError
+        notifyPermissionFailure(permissionType, err && err.name);
+        throw err;
+      });
+    };
+  }
+
+  if (navigator.usb) {
+    wrapDeviceMethod(navigator.usb, 'requestDevice', 'usb', 'requested', (device, options) => ({
+      filters: describeFilters(options.filters),
+      devices: [describeDevice(device)]
+    }));
+    wrapDeviceMethod(navigator.usb, 'getDevices', 'usb', 'enumerated', devices =>
+      devices.length > 0 ? { devices: devices.map(describeDevice) } : null
+    );
+  }
+
+  if (navigator.hid) {
+    // HID requestDevice resolves to an array (empty if the chooser was dismissed)
+    wrapDeviceMethod(navigator.hid, 'requestDevice', 'hid', 'requested', (devices, options) =>
+      devices.length > 0 ? {
+        filters: describeFilters(options.filters),
+        devices: devices.map(describeDevice)
+      } : null
+    );
+    wrapDeviceMethod(navigator.hid, 'getDevices', 'hid', 'enumerated', devices =>
+      devices.length > 0 ? { devices: devices.map(describeDevice) } : null
+    );
+  }
+
+  if (navigator.serial) {
+    const describePort = port => {
+      const info = port.getInfo ? port.getInfo() : {};
+      return {
+        vendorId: toHexId(info.usbVendorId),
+        productId: toHexId(info.usbProductId)
+      };
+    };
+    
+    wrapDeviceMethod(navigator.serial, 'requestPort', 'serial', 'requested', (port, options) => ({
+      filters: describeFilters((options.filters || []).map(filter => ({
+        vendorId: filter.usbVendorId,
+        productId: filter.usbProductId
+      }))),
+      devices: [describePort(port)]
+    }));
+    wrapDeviceMethod(navigator.serial, 'getPorts', 'serial', 'enumerated', ports =>
+      ports.length > 0 ? { devices: ports.map(describePort) } : null
+    );
+  }
+
+  if (navigator.bluetooth) {
+    wrapDeviceMethod(navigator.bluetooth, 'requestDevice', 'bluetooth', 'requested', (device, options) => ({
+      filters: describeFilters(options.filters),
+      acceptAllDevices: !!options.acceptAllDevices,
+      devices: [{ name: device.name || '' }]
+    }));
+  }
+
+  if (navigator.requestMIDIAccess) {
+    wrapDeviceMethod(navigator, 'requestMIDIAccess', 'midi', 'accessed', (access, options) => ({
+      sysex: !!options.sysex,
+      inputs: access.inputs ? access.inputs.size : 0,
+      outputs: access.outputs ? access.outputs.size : 0
+    }));
+  }
+
+  // ============================================================
+  // FINGERPRINTING DETECTION
+  // Individual techniques are common on legitimate pages, so each one
+  // only adds to a per-page score. A single 'fingerprinting' event is
+  // emitted the first time the score crosses the threshold.
+  // ============================================================
+  
+  const fingerprinting = {
+    WEIGHTS: {
+      'canvas': 30,    // toDataURL / toBlob / getImageData readback
+      'webgl': 30,     // UNMASKED_VENDOR/RENDERER_WEBGL queries
+      'audio': 30,     // OfflineAudioContext rendering
+      'fonts': 25,     // measuring many distinct fonts
+      'plugins': 10,   // navigator.plugins / mimeTypes enumeration
+      'hardware': 5    // hardwareConcurrency / deviceMemory
+    },
+    THRESHOLD: 60,
+    FONT_PROBE_LIMIT: 20, // Distinct fonts measured before it counts as probing
+    techniques: new Set(),
+    probedFonts: new Set(),
+    reported: false
+  };
+
+  /**
+   * Record a fingerprinting technique and report once the threshold is crossed
+   */
+  function recordFingerprintTechnique(technique) {
+    if (fingerprinting.reported || fingerprinting.techniques.has(technique)) {
+      return;
+    }
+    
+    fingerprinting.techniques.add(technique);
+    
+    let score = 0;
+    fingerprinting.techniques.forEach(name => {
+      score += fingerprinting.WEIGHTS[name];
+    });
+    
+    if (score >= fingerprinting.THRESHOLD) {
+      fingerprinting.reported = true;
+      notifyPermissionUsage('fingerprinting', 'detected', {
+        score: Math.min(score, 100),
+        techniques: Array.from(fingerprinting.techniques)
+      });
+    }
+  }
+
+  /**
+   * Wrap a prototype method to record a technique before calling through
+   */
+  function wrapFingerprintMethod(proto, methodName, technique, shouldRecord) {
+    if (!proto || typeof proto[methodName] !== 'function') {
+      return;
+    }
+    
+    const originalMethod = proto[methodName];
+    proto[methodName] = function() {
+      if (!shouldRecord || shouldRecord.apply(this, arguments)) {
+        recordFingerprintTechnique(technique);
+      }
+      return originalMethod.apply(this, arguments);
+    };
+  }
+
+  /**
+   * Wrap a prototype getter to record a technique on read
+   */
+  function wrapFingerprintGetter(proto, propertyName, technique) {
+    const descriptor = proto && Object.getOwnPropertyDescriptor(proto, propertyName);
+    if (!descriptor || !descriptor.get || !descriptor.configurable) {
+      return;
+    }
+    
+    Object.defineProperty(proto, propertyName, {
+      get: function() {
+        recordFingerprintTechnique(technique);
+        return descriptor.get.call(this);
+      },
+      enumerable: descriptor.enumerable,
+      configurable: true
+    });
+  }
+
+  // Canvas readback
+  if (window.HTMLCanvasElement) {
+    wrapFingerprintMethod(HTMLCanvasElement.prototype, 'toDataURL', 'canvas');
+    wrapFingerprintMethod(HTMLCanvasElement.prototype, 'toBlob', 'canvas');
+  }
+  if (window.CanvasRenderingContext2D) {
+    wrapFingerprintMethod(CanvasRenderingContext2D.prototype, 'getImageData', 'canvas');
+    
+    // Font probing: measuring text in many different fonts
+    wrapFingerprintMethod(CanvasRenderingContext2D.prototype, 'measureText', 'fonts', function() {
+      fingerprinting.probedFonts.add(this.font);
+      return fingerprinting.probedFonts.size >= fingerprinting.FONT_PROBE_LIMIT;
+    });
+  }
+
+  // WebGL renderer / vendor queries
+  const UNMASKED_VENDOR_WEBGL = 0x9245;
+  const UNMASKED_RENDERER_WEBGL = 0x9246;
+  const isUnmaskedParameter = function(parameter) {
+    return parameter === UNMASKED_VENDOR_WEBGL || parameter === UNMASKED_RENDERER_WEBGL;
+  };
+  if (window.WebGLRenderingContext) {
+    wrapFingerprintMethod(WebGLRenderingContext.prototype, 'getParameter', 'webgl', isUnmaskedParameter);
+  }
+  if (window.WebGL2RenderingContext) {
+    wrapFingerprintMethod(WebGL2RenderingContext.prototype, 'getParameter', 'webgl', isUnmaskedParameter);
+  }
+
+  // Offline audio rendering
+  if (window.OfflineAudioContext) {
+    wrapFingerprintMethod(OfflineAudioContext.prototype, 'startRendering', 'audio');
+  }
+
+  // Plugin, MIME type and hardware enumeration
+  if (window.Navigator) {
+    wrapFingerprintGetter(Navigator.prototype, 'plugins', 'plugins');
+    wrapFingerprintGetter(Navigator.prototype, 'mimeTypes', 'plugins');
+    wrapFingerprintGetter(Navigator.prototype, 'hardwareConcurrency', 'hardware');
+    wrapFingerprintGetter(Navigator.prototype, 'deviceMemory', 'hardware');
+  }
+
   // ============================================================
   // GEOLOCATION DETECTION (SMART VERSION)
   // Logs:
@@ -133,7 +691,17 @@
   if (navigator.geolocation) {
     // Intercept getCurrentPosition (one-time location access)
     const originalGetCurrentPosition = navigator.geolocation.getCurrentPosition.bind(navigator.geolocation);
-    navigator.geolocation.getCurrentPosition = function(successCallback, errorCallback, options) {
+    navigator.geolocation.getCurrentPosition = function getCurrentPosition(successCallback, errorCallback, options) {
+      if (!policyState.known) {
+        holdForPolicy(getCurrentPosition, this, arguments);
+        return;
+      }
+      if (!isAllowedByPolicy('location')) {
+        notifyPermissionUsage('location', 'blocked');
+        if (errorCallback) setTimeout(() => errorCallback(createGeolocationPolicyError()), 0);
+        return;
+      }
+
       return originalGetCurrentPosition(
         function(position) {
           // CRITICAL: Don't log if page is unloading
@@ -162,15 +730,42 @@
           
           if (successCallback) successCallback(position);
         },
-        errorCallback,
+        function(error) {
+          if (!locationTracking.isUnloading) {
+            notifyPermissionFailure('location', GEOLOCATION_ERROR_NAMES[error && error.code]);
+          }
+          if (errorCallback) errorCallback(error);
+        },
         options
       );
     };
 
+    // Watches requested before the policy is known get a stand-in ID (negative,
+    // so it never collides with a real one) mapped to the real ID once started
+    const heldWatches = new Map();
+    let nextHeldWatchId = -1;
+
     // Intercept watchPosition (continuous tracking)
     const originalWatchPosition = navigator.geolocation.watchPosition.bind(navigator.geolocation);
-    navigator.geolocation.watchPosition = function(successCallback, errorCallback, options) {
+    navigator.geolocation.watchPosition = function watchPosition(successCallback, errorCallback, options) {
+      if (!policyState.known) {
+        const heldId = nextHeldWatchId--;
+        heldWatches.set(heldId, null);
+        holdForPolicy(watchPosition, this, arguments).then(watchId => {
+          if (heldWatches.has(heldId)) {
+            heldWatches.set(heldId, watchId);
+          }
+        });
+        return heldId;
+      }
+      if (!isAllowedByPolicy('location')) {
+        notifyPermissionUsage('location', 'blocked');
+        if (errorCallback) setTimeout(() => errorCallback(createGeolocationPolicyError()), 0);
+        return 0; // No watcher was registered, clearWatch(0) is a no-op
+      }
+
       let callbackCount = 0;
+      let errorLogged = false;
       
       const watchId = originalWatchPosition(
         function(position) {
@@ -202,12 +797,20 @@
           
           if (successCallback) successCallback(position);
         },
-        errorCallback,
+        function(error) {
+          // Watchers can keep timing out - only log the first error
+          if (!errorLogged && !locationTracking.isUnloading) {
+            errorLogged = true;
+            notifyPermissionFailure('location', GEOLOCATION_ERROR_NAMES[error && error.code]);
+          }
+          if (errorCallback) errorCallback(error);
+        },
         options
       );
       
       // Track active watcher
       locationTracking.activeWatchers.add(watchId);
+      reportLocationWatchers();
       
       return watchId;
     };
@@ -215,9 +818,20 @@
     // Intercept clearWatch - NO LOGGING AT ALL
     // This is called on page cleanup/exit - we must NOT log here
     const originalClearWatch = navigator.geolocation.clearWatch.bind(navigator.geolocation);
-    navigator.geolocation.clearWatch = function(watchId) {
+    navigator.geolocation.clearWatch = function clearWatch(watchId) {
+      if (heldWatches.has(watchId)) {
+        const startedId = heldWatches.get(watchId);
+        heldWatches.delete(watchId); // A watch that has not started yet never will
+        if (startedId === null) {
+          return;
+        }
+        watchId = startedId;
+      }
+      
       // Remove from active watchers silently
-      locationTracking.activeWatchers.delete(watchId);
+      if (locationTracking.activeWatchers.delete(watchId)) {
+        reportLocationWatchers();
+      }
       
       // CRITICAL: Just call original, absolutely NO logging
       return originalClearWatch(watchId);
@@ -232,6 +846,15 @@
     window.addEventListener('pagehide', function() {
       // Also handle pagehide event
       locationTracking.isUnloading = true;
+      // Watchers stop with the page (and resume if it comes back from the back/forward cache)
+      sendToContentScript(CHANNEL.state, { locationWatchers: 0 });
+    }, false);
+    
+    window.addEventListener('pageshow', function(event) {
+      if (event.persisted) {
+        locationTracking.isUnloading = false;
+        reportLocationWatchers();
+      }
     }, false);
     
     // CHROME RESTORE FIX: Prevent logging when Chrome resumes from taskbar
@@ -243,6 +866,132 @@
     }, false);
   }
 
+  // ============================================================
+  // CLIPBOARD CLASSIFICATION
+  // Reads are classified here in the page; only the category labels
+  // and the length leave it, never the clipboard contents
+  // ============================================================
+  
+  const CLIPBOARD_SAMPLE_LIMIT = 10000; // Characters classified (length still counts all)
+  const CLIPBOARD_HIGH_SENSITIVITY = ['password', 'credit-card', 'iban', 'one-time-code'];
+  
+  /**
+   * Luhn checksum used by payment card numbers
+   */
+  function passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) {
+          digit -= 9;
+        }
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+  
+  /**
+   * ISO 13616 mod-97 check; the candidate may run into following text, so try each length
+   */
+  function containsValidIban(candidate) {
+    for (let end = candidate.length; end >= 15; end--) {
+      const iban = candidate.slice(0, end);
+      const rearranged = iban.slice(4) + iban.slice(0, 4);
+      let remainder = 0;
+      for (const char of rearranged) {
+        const value = parseInt(char, 36); // 0-9 stay digits, A-Z become 10-35
+        remainder = (remainder * (value > 9 ? 100 : 10) + value) % 97;
+      }
+      if (remainder === 1) {
+        return true;
+      }
+    }
+    return false;
+  }
+  
+  /**
+   * A single token mixing at least three character classes
+   */
+  function looksLikePassword(text) {
+    if (!/^\S{8,64}$/.test(text)) {
+      return false;
+    }
+    const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^a-zA-Z\d]/].filter(pattern => pattern.test(text));
+    return classes.length >= 3;
+  }
+  
+  /**
+   * Category labels for a piece of clipboard text
+   */
+  function getClipboardTextCategories(text) {
+    const sample = text.slice(0, CLIPBOARD_SAMPLE_LIMIT).trim();
+    if (!sample) {
+      return ['empty'];
+    }
+    
+    const categories = [];
+    // 6-8 digits, the length of authenticator and SMS codes (4 digits is usually a year or PIN)
+    if (/^\d{6,8}$/.test(sample)) {
+      categories.push('one-time-code');
+    }
+    const cards = sample.match(/\b\d(?:[ -]?\d){12,18}\b/g) || [];
+    if (cards.some(card => passesLuhn(card.replace(/\D/g, '')))) {
+      categories.push('credit-card');
+    }
+    const ibans = sample.toUpperCase().match(/\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}/g) || [];
+    if (ibans.some(iban => containsValidIban(iban.replace(/ /g, '')))) {
+      categories.push('iban');
+    }
+    if (/[^\s@]+@[^\s@]+\.[a-z]{2,}/i.test(sample)) {
+      categories.push('email');
+    }
+    if (/\b(?:https?:\/\/|www\.)\S+/i.test(sample)) {
+      categories.push('url');
+    }
+    if (categories.length === 0 && looksLikePassword(sample)) {
+      categories.push('password');
+    }
+    return categories.length > 0 ? categories : ['text'];
+  }
+  
+  /**
+   * Log metadata for a clipboard read: labels, length and sensitivity only
+   */
+  function buildClipboardMetadata(categories, length) {
+    return {
+      categories: categories,
+      length: length,
+      sensitivity: categories.some(category => CLIPBOARD_HIGH_SENSITIVITY.includes(category)) ? 'high' : 'normal'
+    };
+  }
+  
+  /**
+   * Classify what clipboard.read() returned (text is read from the items the page also receives)
+   */
+  async function classifyClipboardItems(clipboardItems) {
+    const categories = new Set();
+    let length = 0;
+    
+    for (const item of clipboardItems) {
+      if (item.types.some(type => type.startsWith('image/'))) {
+        categories.add('image');
+      }
+      if (item.types.includes('text/plain')) {
+        const text = await (await item.getType('text/plain')).text();
+        length += text.length;
+        getClipboardTextCategories(text).forEach(category => categories.add(category));
+      }
+    }
+    
+    if (categories.size === 0) {
+      categories.add('other');
+    }
+    return buildClipboardMetadata(Array.from(categories), length);
+  }
+
   // ============================================================
   // CLIPBOARD DETECTION (ACCURATE - Only logs successful operations)
   // ============================================================
@@ -251,15 +1000,24 @@
     // Intercept readText (only log if actually reads text)
     if (navigator.clipboard.readText) {
       const originalReadText = navigator.clipboard.readText.bind(navigator.clipboard);
-      navigator.clipboard.readText = function() {
+      navigator.clipboard.readText = function readText() {
+        if (!policyState.known) {
+          return holdForPolicy(readText, this, arguments);
+        }
+        if (!isAllowedByPolicy('clipboard-read')) {
+          notifyPermissionUsage('clipboard-read', 'blocked');
+          return Promise.reject(createPolicyError());
+        }
+
         return originalReadText().then(text => {
           // Only log if text was actually read successfully
           if (text !== undefined && text !== null) {
-            notifyPermissionUsage('clipboard-read', 'accessed');
+            notifyPermissionUsage('clipboard-read', 'accessed',
+              buildClipboardMetadata(getClipboardTextCategories(text), text.length));
           }
           return text;
         }).catch(err => {
-          // Failed to read - don't log
+          notifyPermissionFailure('clipboard-read', err && err.name);
           throw err;
         });
       };
@@ -268,15 +1026,27 @@
     // Intercept read (only log if actually reads data)
     if (navigator.clipboard.read) {
       const originalRead = navigator.clipboard.read.bind(navigator.clipboard);
-      navigator.clipboard.read = function() {
+      navigator.clipboard.read = function read() {
+        if (!policyState.known) {
+          return holdForPolicy(read, this, arguments);
+        }
+        if (!isAllowedByPolicy('clipboard-read')) {
+          notifyPermissionUsage('clipboard-read', 'blocked');
+          return Promise.reject(createPolicyError());
+        }
+
         return originalRead().then(clipboardItems => {
           // Only log if we actually got clipboard data
           if (clipboardItems && clipboardItems.length > 0) {
-            notifyPermissionUsage('clipboard-read', 'accessed');
+            classifyClipboardItems(clipboardItems).then(metadata => {
+              notifyPermissionUsage('clipboard-read', 'accessed', metadata);
+            }).catch(() => {
+              notifyPermissionUsage('clipboard-read', 'accessed');
+            });
           }
           return clipboardItems;
         }).catch(err => {
-          // Failed to read - don't log
+          notifyPermissionFailure('clipboard-read', err && err.name);
           throw err;
         });
       };
@@ -285,12 +1055,20 @@
     // Intercept writeText (only log successful writes)
     if (navigator.clipboard.writeText) {
       const originalWriteText = navigator.clipboard.writeText.bind(navigator.clipboard);
-      navigator.clipboard.writeText = function(text) {
+      navigator.clipboard.writeText = function writeText(text) {
+        if (!policyState.known) {
+          return holdForPolicy(writeText, this, arguments);
+        }
+        if (!isAllowedByPolicy('clipboard-write')) {
+          notifyPermissionUsage('clipboard-write', 'blocked');
+          return Promise.reject(createPolicyError());
+        }
+
         return originalWriteText(text).then(() => {
           // Successfully wrote to clipboard
           notifyPermissionUsage('clipboard-write', 'accessed');
         }).catch(err => {
-          // Failed to write - don't log
+          notifyPermissionFailure('clipboard-write', err && err.name);
           throw err;
         });
       };
@@ -299,12 +1077,20 @@
     // Intercept write (only log successful writes)
     if (navigator.clipboard.write) {
       const originalWrite = navigator.clipboard.write.bind(navigator.clipboard);
-      navigator.clipboard.write = function(data) {
+      navigator.clipboard.write = function write(data) {
+        if (!policyState.known) {
+          return holdForPolicy(write, this, arguments);
+        }
+        if (!isAllowedByPolicy('clipboard-write')) {
+          notifyPermissionUsage('clipboard-write', 'blocked');
+          return Promise.reject(createPolicyError());
+        }
+
         return originalWrite(data).then(() => {
           // Successfully wrote to clipboard
           notifyPermissionUsage('clipboard-write', 'accessed');
         }).catch(err => {
-          // Failed to write - don't log
+          notifyPermissionFailure('clipboard-write', err && err.name);
           throw err;
         });
       };
@@ -320,7 +1106,12 @@
     
     // Wrap the Notification constructor
     window.Notification = function(title, options) {
-      notifyPermissionUsage('notifications', 'shown');
+      if (!isAllowedByPolicy('notifications')) {
+        notifyPermissionUsage('notifications', 'blocked');
+        throw createPolicyError();
+      }
+
+      notifyPermissionUsage('notifications', 'shown', { source: 'page' });
       return new OriginalNotification(title, options);
     };
     
@@ -329,12 +1120,31 @@
     
     // Copy static methods
     if (OriginalNotification.requestPermission) {
-      window.Notification.requestPermission = OriginalNotification.requestPermission.bind(OriginalNotification);
+      const originalRequestPermission = OriginalNotification.requestPermission.bind(OriginalNotification);
+      window.Notification.requestPermission = function requestPermission(callback) {
+        if (!policyState.known) {
+          return holdForPolicy(requestPermission, this, arguments);
+        }
+        if (policyState.decisions.notifications === 'block') {
+          if (callback) callback('denied');
+          return Promise.resolve('denied');
+        }
+        return originalRequestPermission(callback).then(result => {
+          // 'default' means the prompt was dismissed without a choice
+          notifyPermissionUsage('notifications', 'prompted', {
+            result: result === 'default' ? 'dismissed' : result
+          });
+          return result;
+        });
+      };
     }
     
-    // Make permission property read-only
+    // Make permission property read-only (reports 'denied' while blocked by policy)
     Object.defineProperty(window.Notification, 'permission', {
       get: function() {
+        if (policyState.decisions.notifications === 'block') {
+          return 'denied';
+        }
         return OriginalNotification.permission;
       },
       enumerable: true,
@@ -353,6 +1163,162 @@
     }
   }
 
+  // ============================================================
+  // SERVICE WORKER NOTIFICATIONS & PUSH SUBSCRIPTIONS
+  // Most sites show notifications through their service worker
+  // registration rather than the Notification constructor
+  // ============================================================
+  
+  if (window.ServiceWorkerRegistration && ServiceWorkerRegistration.prototype.showNotification) {
+    const originalShowNotification = ServiceWorkerRegistration.prototype.showNotification;
+    
+    ServiceWorkerRegistration.prototype.showNotification = function showNotification(title, options) {
+      if (!policyState.known) {
+        return holdForPolicy(showNotification, this, arguments);
+      }
+      if (!isAllowedByPolicy('notifications')) {
+        notifyPermissionUsage('notifications', 'blocked');
+        return Promise.reject(createPolicyError());
+      }
+      
+      return originalShowNotification.apply(this, arguments).then(result => {
+        notifyPermissionUsage('notifications', 'shown', { source: 'service-worker' });
+        return result;
+      }).catch(err => {
+        notifyPermissionFailure('notifications', err && err.name);
+        throw err;
+      });
+    };
+  }
+
+  if (window.PushManager && PushManager.prototype.subscribe) {
+    const originalSubscribe = PushManager.prototype.subscribe;
+    
+    PushManager.prototype.subscribe = function subscribe(options) {
+      if (!policyState.known) {
+        return holdForPolicy(subscribe, this, arguments);
+      }
+      // Push messages surface as notifications, so they share the notifications policy
+      if (!isAllowedByPolicy('notifications')) {
+        notifyPermissionUsage('notifications', 'blocked', { source: 'push' });
+        return Promise.reject(createPolicyError());
+      }
+      
+      return originalSubscribe.apply(this, arguments).then(subscription => {
+        let endpointHost = 'unknown';
+        try {
+          endpointHost = new URL(subscription.endpoint).host;
+        } catch (err) {
+          // Keep 'unknown'
+        }
+        
+        notifyPermissionUsage('notifications', 'push-subscribed', {
+          endpointHost: endpointHost,
+          userVisibleOnly: !!(options && options.userVisibleOnly)
+        });
+        return subscription;
+      }).catch(err => {
+        notifyPermissionFailure('notifications', err && err.name);
+        throw err;
+      });
+    };
+  }
+
+  // ============================================================
+  // TAMPER DETECTION
+  // Wrapped APIs become accessors on the instance and its prototype,
+  // so calling the prototype method directly still goes through the
+  // wrapper. Assignments are logged and then go through, since
+  // polyfills and shims replace these APIs legitimately (and usually
+  // call on into the wrapper). A periodic check catches anything else.
+  // ============================================================
+
+  const guardedApis = [];
+  const INTEGRITY_CHECK_INTERVAL = 5000;
+
+  /**
+   * Log an attempt to disable or bypass a wrapper
+   */
+  function notifyTamper(method, apiName) {
+    notifyPermissionUsage('tamper', method, { api: apiName });
+  }
+
+  /**
+   * Watch a wrapped API for replacement
+   */
+  function guardWrapper(target, name, apiName) {
+    if (!target || !Object.prototype.hasOwnProperty.call(target, name)) {
+      return; // Not wrapped in this browser
+    }
+    
+    const wrapper = target[name];
+    const guarded = { target: target, name: name, apiName: apiName, wrapper: wrapper, reported: false };
+    const accessor = {
+      get: function() {
+        return wrapper;
+      },
+      set: function(value) {
+        notifyTamper('overwrite', apiName);
+        if (this === target) {
+          guarded.reported = true; // Already logged - skip the integrity check report
+        }
+        // Behave like a plain assignment to a writable method
+        Object.defineProperty(this, name, { value: value, writable: true, enumerable: true, configurable: true });
+      },
+      enumerable: true,
+      configurable: true
+    };
+    
+    try {
+      Object.defineProperty(target, name, accessor);
+      
+      // The prototype still holds the original - route direct calls through the wrapper too
+      const proto = Object.getPrototypeOf(target);
+      const protoDescriptor = proto && Object.getOwnPropertyDescriptor(proto, name);
+      if (proto !== Object.prototype && protoDescriptor && protoDescriptor.configurable &&
+          typeof protoDescriptor.value === 'function') {
+        Object.defineProperty(proto, name, accessor);
+      }
+    } catch (err) {
+      // Property could not be guarded - the integrity check still covers it
+    }
+    
+    guardedApis.push(guarded);
+  }
+
+  guardWrapper(navigator.mediaDevices, 'getUserMedia', 'navigator.mediaDevices.getUserMedia');
+  guardWrapper(navigator.mediaDevices, 'getDisplayMedia', 'navigator.mediaDevices.getDisplayMedia');
+  guardWrapper(navigator, 'getUserMedia', 'navigator.getUserMedia');
+  guardWrapper(navigator.geolocation, 'getCurrentPosition', 'navigator.geolocation.getCurrentPosition');
+  guardWrapper(navigator.geolocation, 'watchPosition', 'navigator.geolocation.watchPosition');
+  guardWrapper(navigator.geolocation, 'clearWatch', 'navigator.geolocation.clearWatch');
+  guardWrapper(navigator.clipboard, 'readText', 'navigator.clipboard.readText');
+  guardWrapper(navigator.clipboard, 'read', 'navigator.clipboard.read');
+  guardWrapper(navigator.clipboard, 'writeText', 'navigator.clipboard.writeText');
+  guardWrapper(navigator.clipboard, 'write', 'navigator.clipboard.write');
+  guardWrapper(window, 'Notification', 'Notification');
+  guardWrapper(window.ServiceWorkerRegistration && ServiceWorkerRegistration.prototype,
+    'showNotification', 'ServiceWorkerRegistration.showNotification');
+  guardWrapper(window.PushManager && PushManager.prototype, 'subscribe', 'PushManager.subscribe');
+  guardWrapper(navigator.usb, 'requestDevice', 'navigator.usb.requestDevice');
+  guardWrapper(navigator.usb, 'getDevices', 'navigator.usb.getDevices');
+  guardWrapper(navigator.hid, 'requestDevice', 'navigator.hid.requestDevice');
+  guardWrapper(navigator.hid, 'getDevices', 'navigator.hid.getDevices');
+  guardWrapper(navigator.serial, 'requestPort', 'navigator.serial.requestPort');
+  guardWrapper(navigator.serial, 'getPorts', 'navigator.serial.getPorts');
+  guardWrapper(navigator.bluetooth, 'requestDevice', 'navigator.bluetooth.requestDevice');
+  guardWrapper(navigator, 'requestMIDIAccess', 'navigator.requestMIDIAccess');
+
+  // Report each API once if its wrapper was replaced or restored anyway
+  setInterval(function() {
+    guardedApis.forEach(api => {
+      if (!api.reported && api.target[api.name] !== api.wrapper) {
+        api.reported = true;
+        notifyTamper('restored', api.apiName);
+      }
+    });
+  }, INTEGRITY_CHECK_INTERVAL);
+
   console.log('[Permission Analyzer] Smart monitoring enabled');
   console.log('[Permission Analyzer] Location: Logs new actions (5s+ apart), ignores background updates');
 })();
\ No newline at end of file
@@ -4,6 +4,7 @@
 const totalLogsEl = document.getElementById('total-logs');
 const cameraCountEl = document.getElementById('camera-count');
 const micCountEl = document.getElementById('mic-count');
+const screenCountEl = document.getElementById('screen-count');
 const locationCountEl = document.getElementById('location-count');
 const clipboardCountEl = document.getElementById('clipboard-count');
 const notificationCountEl = document.getElementById('notification-count');
@@ -11,13 +12,48 @@ const recentLogsEl = document.getElementById('recent-logs');
 const viewDashboardBtn = document.getElementById('view-dashboard');
 const clearLogsBtn = document.getElementById('clear-logs');
 const notificationsToggle = document.getElementById('notifications-toggle');
+const siteRiskEl = document.getElementById('site-risk');
+const siteRiskDomainEl = document.getElementById('site-risk-domain');
+const siteRiskScoreEl = document.getElementById('site-risk-score');
+const forwarderStatusEl = document.getElementById('forwarder-status');
+const thisSiteEl = document.getElementById('this-site');
+const siteLiveEl = document.getElementById('site-live');
+const siteHistorySummaryEl = document.getElementById('site-history-summary');
+const siteHistoryTypesEl = document.getElementById('site-history-types');
+const sitePermissionsEl = document.getElementById('site-permissions');
+const siteRecentLogsEl = document.getElementById('site-recent-logs');
+const siteMuteBtn = document.getElementById('site-mute');
+const siteOpenDashboardBtn = document.getElementById('site-open-dashboard');
+const siteClearLogsBtn = document.getElementById('site-clear-logs');
+const unlockBar = document.getElementById('unlock-bar');
+const unlockSecretInput = document.getElementById('unlock-secret');
+const unlockHistoryBtn = document.getElementById('unlock-history');
+const unlockErrorEl = document.getElementById('unlock-error');
+
+// Permissions Chrome tracks per origin, as navigator.permissions names
+const SITE_PERMISSIONS = [
+  { name: 'camera', permissionType: 'camera' },
+  { name: 'microphone', permissionType: 'microphone' },
+  { name: 'geolocation', permissionType: 'location' },
+  { name: 'notifications', permissionType: 'notifications' },
+  { name: 'clipboard-read', permissionType: 'clipboard-read' },
+  { name: 'clipboard-write', permissionType: 'clipboard-write' }
+];
+
+// Tooltip on controls locked by the enterprise policy
+const MANAGED_TITLE = "Managed by your organization's policy";
+
+// Domain and tab of the active tab, set by loadCurrentSite
+let currentSite = null;
 
 // Initialize popup
 document.addEventListener('DOMContentLoaded', () => {
   // Reset badge counter when popup is opened
   chrome.runtime.sendMessage({ type: 'RESET_BADGE' });
   
+  loadEncryptionStatus();
   loadLogs();
+  loadCurrentSite();
   loadSettings();
   setupEventListeners();
 });
@@ -27,44 +63,276 @@ document.addEventListener('DOMContentLoaded', () => {
  */
 async function loadLogs() {
   try {
-    const response = await chrome.runtime.sendMessage({ type: 'GET_LOGS' });
-    const logs = response.logs || [];
+    const [stats, recent] = await Promise.all([
+      chrome.runtime.sendMessage({ type: 'GET_LOG_STATS' }),
+      chrome.runtime.sendMessage({ type: 'QUERY_LOGS', query: { limit: 10 } })
+    ]);
+    const byType = stats.byType || {};
     
     // Update total count
-    totalLogsEl.textContent = `${logs.length} log${logs.length !== 1 ? 's' : ''}`;
-    
-    // Calculate permission counts
-    const counts = {
-      camera: 0,
-      microphone: 0,
-      location: 0,
-      clipboard: 0,
-      notifications: 0
-    };
-    
-    logs.forEach(log => {
-      if (log.permissionType === 'camera') counts.camera++;
-      else if (log.permissionType === 'microphone') counts.microphone++;
-      else if (log.permissionType === 'location') counts.location++;
-      else if (log.permissionType.includes('clipboard')) counts.clipboard++;
-      else if (log.permissionType === 'notifications') counts.notifications++;
-    });
+    totalLogsEl.textContent = `${stats.total} log${stats.total !== 1 ? 's' : ''}`;
     
     // Update count displays
-    cameraCountEl.textContent = counts.camera;
-    micCountEl.textContent = counts.microphone;
-    locationCountEl.textContent = counts.location;
-    clipboardCountEl.textContent = counts.clipboard;
-    notificationCountEl.textContent = counts.notifications;
+    cameraCountEl.textContent = byType['camera'] || 0;
+    micCountEl.textContent = byType['microphone'] || 0;
+    screenCountEl.textContent = byType['screen-capture'] || 0;
+    locationCountEl.textContent = byType['location'] || 0;
+    clipboardCountEl.textContent = (byType['clipboard-read'] || 0) + (byType['clipboard-write'] || 0);
+    notificationCountEl.textContent = byType['notifications'] || 0;
     
     // Display recent logs (last 10)
-    displayRecentLogs(logs.slice(0, 10));
+    displayRecentLogs(recent.logs || []);
   } catch (error) {
     console.error('Error loading logs:', error);
     recentLogsEl.innerHTML = '<div class="no-logs">Error loading logs</div>';
   }
 }
 
+/**
+ * Prompt for the passphrase while the encrypted history is locked
+ */
+async function loadEncryptionStatus() {
+  try {
+    const status = await chrome.runtime.sendMessage({ type: 'GET_ENCRYPTION_STATUS' });
+    unlockBar.hidden = !status.locked;
+    if (status.locked) {
+      unlockSecretInput.focus();
+    }
+  } catch (error) {
+    console.error('Error loading encryption status:', error);
+  }
+}
+
+/**
+ * Unlock with the passphrase or recovery key, then reload the history
+ */
+async function unlockHistory() {
+  unlockErrorEl.textContent = '';
+  try {
+    const result = await chrome.runtime.sendMessage({ type: 'UNLOCK_HISTORY', secret: unlockSecretInput.value });
+    if (!result.success) {
+      unlockErrorEl.textContent = result.error;
+      return;
+    }
+    unlockSecretInput.value = '';
+    unlockBar.hidden = true;
+    loadLogs();
+    if (currentSite) {
+      loadSiteRisk(currentSite.domain);
+      loadSiteHistory(currentSite.domain);
+    }
+  } catch (error) {
+    console.error('Error unlocking history:', error);
+    unlockErrorEl.textContent = 'Failed to unlock. Please try again.';
+  }
+}
+
+/**
+ * Find the site in the active tab and load its panel
+ */
+async function loadCurrentSite() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const domain = tab && tab.url && /^https?:/.test(tab.url) ? new URL(tab.url).hostname : '';
+    if (!domain) {
+      siteRiskEl.style.display = 'none';
+      return;
+    }
+    
+    currentSite = { domain, tabId: tab.id };
+    siteRiskDomainEl.textContent = domain;
+    thisSiteEl.hidden = false;
+    
+    loadSiteRisk(domain);
+    loadSiteHistory(domain);
+    loadSiteLiveState(tab.id);
+    loadSitePermissions(tab.id);
+    loadSiteMuteState(domain);
+  } catch (error) {
+    console.error('Error loading current site:', error);
+    siteRiskEl.style.display = 'none';
+  }
+}
+
+/**
+ * Show the risk score of the site in the active tab
+ */
+async function loadSiteRisk(domain) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_DOMAIN_RISK', domain });
+    const risk = response.risk;
+    siteRiskEl.className = 'site-risk';
+    if (!risk) {
+      siteRiskScoreEl.textContent = 'No activity';
+      return;
+    }
+    
+    siteRiskEl.classList.add(risk.level);
+    siteRiskScoreEl.textContent = `Risk ${risk.score}/100 · ${risk.level}`;
+  } catch (error) {
+    console.error('Error loading site risk:', error);
+    siteRiskEl.style.display = 'none';
+  }
+}
+
+/**
+ * Show what the site has done: totals per type and its latest events
+ */
+async function loadSiteHistory(domain) {
+  try {
+    const { logs = [], total = 0 } = await chrome.runtime.sendMessage({
+      type: 'QUERY_LOGS',
+      query: { domain }
+    });
+    
+    siteHistoryTypesEl.innerHTML = '';
+    siteRecentLogsEl.innerHTML = '';
+    
+    if (total === 0) {
+      siteHistorySummaryEl.textContent = 'No activity';
+      siteClearLogsBtn.disabled = true;
+      return;
+    }
+    
+    // Logs are most recent first
+    siteHistorySummaryEl.textContent = `${total} event${total !== 1 ? 's' : ''} · first seen ${getTimeAgo(logs[logs.length - 1].timestamp).toLowerCase()}`;
+    siteClearLogsBtn.disabled = false;
+    
+    const byType = {};
+    logs.forEach(log => {
+      byType[log.permissionType] = (byType[log.permissionType] || 0) + 1;
+    });
+    Object.entries(byType)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([permissionType, count]) => {
+        const chip = document.createElement('span');
+        chip.className = 'site-chip';
+        chip.textContent = `${getPermissionIcon(permissionType)} ${formatPermissionName(permissionType)} ${count}`;
+        siteHistoryTypesEl.appendChild(chip);
+      });
+    
+    logs.slice(0, 3).forEach(log => {
+      siteRecentLogsEl.appendChild(createLogEntry(log));
+    });
+  } catch (error) {
+    console.error('Error loading site history:', error);
+    siteHistorySummaryEl.textContent = 'Error loading history';
+  }
+}
+
+/**
+ * Show what the tab is using right now (see the live toolbar indicator)
+ */
+async function loadSiteLiveState(tabId) {
+  try {
+    const { types = [] } = await chrome.runtime.sendMessage({ type: 'GET_TAB_LIVE_STATE', tabId });
+    if (types.length === 0) {
+      siteLiveEl.hidden = true;
+      return;
+    }
+    
+    siteLiveEl.textContent = `🔴 In use now: ${types.map(formatPermissionName).join(', ')}`;
+    siteLiveEl.hidden = false;
+  } catch (error) {
+    console.error('Error loading live state:', error);
+  }
+}
+
+/**
+ * Ask the page what Chrome has granted its origin
+ */
+async function loadSitePermissions(tabId) {
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId },
+      // Runs in the extension's isolated world, so page overrides of navigator.permissions don't apply
+      func: async (names) => {
+        const states = {};
+        for (const name of names) {
+          try {
+            states[name] = (await navigator.permissions.query({ name })).state;
+          } catch (error) {
+            states[name] = 'unsupported';
+          }
+        }
+        return states;
+      },
+      args: [SITE_PERMISSIONS.map(permission => permission.name)]
+    });
+    displaySitePermissions(injection.result || {});
+  } catch (error) {
+    // Pages the extension can't script, such as the Chrome Web Store
+    console.error('Error loading site permissions:', error);
+    sitePermissionsEl.innerHTML = '<span class="site-value">Unavailable on this page</span>';
+  }
+}
+
+/**
+ * Render one chip per permission with its granted / denied / prompt state
+ */
+function displaySitePermissions(states) {
+  sitePermissionsEl.innerHTML = '';
+  
+  SITE_PERMISSIONS.forEach(({ name, permissionType }) => {
+    const state = states[name];
+    if (!state || state === 'unsupported') {
+      return;
+    }
+    const chip = document.createElement('span');
+    chip.className = `site-chip permission-${state}`;
+    chip.textContent = `${getPermissionIcon(permissionType)} ${formatPermissionName(permissionType)}: ${state}`;
+    sitePermissionsEl.appendChild(chip);
+  });
+}
+
+/**
+ * The site-wide "never notify" rule for a domain, if there is one
+ */
+async function getSiteMuteRule(domain) {
+  const { rules = [] } = await chrome.runtime.sendMessage({ type: 'GET_NOTIFICATION_RULES' });
+  return rules.find(rule => rule.pattern === domain && rule.permissionType === '*' && rule.mode === 'never');
+}
+
+/**
+ * Label the mute button for the current state
+ * The button is disabled while the policy locks notification rules
+ */
+async function loadSiteMuteState(domain) {
+  try {
+    const [rule, lockedKeys] = await Promise.all([getSiteMuteRule(domain), getLockedKeys()]);
+    const muted = !!rule;
+    const locked = lockedKeys.includes('notificationRules');
+    siteMuteBtn.textContent = muted ? '🔔 Unmute' : '🔕 Mute';
+    siteMuteBtn.disabled = locked;
+    siteMuteBtn.title = locked ? MANAGED_TITLE
+      : muted ? 'Notify about this site again'
+      : 'Stop notifications about this site';
+  } catch (error) {
+    console.error('Error loading notification rules:', error);
+  }
+}
+
+/**
+ * Add or remove the site-wide "never notify" rule
+ */
+async function toggleSiteMute() {
+  try {
+    const rule = await getSiteMuteRule(currentSite.domain);
+    if (rule) {
+      await chrome.runtime.sendMessage({ type: 'DELETE_NOTIFICATION_RULE', id: rule.id });
+    } else {
+      await chrome.runtime.sendMessage({
+        type: 'ADD_NOTIFICATION_RULE',
+        rule: { pattern: currentSite.domain, permissionType: '*', mode: 'never' }
+      });
+    }
+    loadSiteMuteState(currentSite.domain);
+  } catch (error) {
+    console.error('Error updating notification rules:', error);
+    alert('Failed to update notification rules. Please try again.');
+  }
+}
+
 /**
  * Display recent logs in the popup
  */
@@ -77,28 +345,35 @@ function displayRecentLogs(logs) {
   recentLogsEl.innerHTML = '';
   
   logs.forEach(log => {
-    const logEntry = document.createElement('div');
-    logEntry.className = `log-entry ${log.permissionType}`;
-    
-    const permissionIcon = getPermissionIcon(log.permissionType);
-    const permissionName = formatPermissionName(log.permissionType);
-    
-    logEntry.innerHTML = `
-      <div class="log-header">
-        <div class="log-permission">
-          <span>${permissionIcon}</span>
-          <span>${permissionName}</span>
-        </div>
-        <div class="log-time">${getTimeAgo(log.timestamp)}</div>
-      </div>
-      <div class="log-domain">${log.domain}</div>
-      <div class="log-action">${log.action}</div>
-    `;
-    
-    recentLogsEl.appendChild(logEntry);
+    recentLogsEl.appendChild(createLogEntry(log));
   });
 }
 
+/**
+ * Build the card for one log entry
+ */
+function createLogEntry(log) {
+  const logEntry = document.createElement('div');
+  logEntry.className = `log-entry ${log.permissionType}${log.backgroundAccess ? ' background-access' : ''}`;
+  
+  const permissionIcon = getPermissionIcon(log.permissionType);
+  const permissionName = formatPermissionName(log.permissionType);
+  
+  logEntry.innerHTML = `
+    <div class="log-header">
+      <div class="log-permission">
+        <span>${permissionIcon}</span>
+        <span>${escapeHtml(permissionName)}</span>
+      </div>
+      <div class="log-time">${getTimeAgo(log.timestamp)}</div>
+    </div>
+    <div class="log-domain">${escapeHtml(log.domain)}</div>
+    <div class="log-action">${escapeHtml(log.action)}${log.backgroundAccess ? ' <span class="background-tag">Hidden tab</span>' : ''}</div>
+  `;
+  
+  return logEntry;
+}
+
 /**
  * Get icon for permission type
  */
@@ -106,10 +381,18 @@ function getPermissionIcon(permissionType) {
   const icons = {
     'camera': '📷',
     'microphone': '🎤',
+    'screen-capture': '🖥️',
     'location': '📍',
     'clipboard-read': '📋',
     'clipboard-write': '📋',
-    'notifications': '🔔'
+    'notifications': '🔔',
+    'usb': '🔌',
+    'hid': '🎮',
+    'serial': '🔗',
+    'bluetooth': '📶',
+    'midi': '🎹',
+    'fingerprinting': '🕵️',
+    'tamper': '⚠️'
   };
   return icons[permissionType] || '🔒';
 }
@@ -121,14 +404,31 @@ function formatPermissionName(permissionType) {
   const names = {
     'camera': 'Camera',
     'microphone': 'Microphone',
+    'screen-capture': 'Screen Capture',
     'location': 'Location',
     'clipboard-read': 'Clipboard Read',
     'clipboard-write': 'Clipboard Write',
-    'notifications': 'Notifications'
+    'notifications': 'Notifications',
+    'usb': 'USB',
+    'hid': 'HID',
+    'serial': 'Serial',
+    'bluetooth': 'Bluetooth',
+    'midi': 'MIDI',
+    'fingerprinting': 'Fingerprinting',
+    'tamper': 'Tamper Attempt'
   };
   return names[permissionType] || permissionType;
 }
 
+/**
+ * Escape text for use in markup
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
 /**
  * Get relative time (e.g., "2 min ago")
  */
@@ -149,18 +449,58 @@ function getTimeAgo(isoString) {
   return then.toLocaleDateString();
 }
 
+/**
+ * Settings the enterprise policy locks
+ */
+async function getLockedKeys() {
+  const { lockedKeys = [] } = await chrome.runtime.sendMessage({ type: 'GET_MANAGED_STATE' });
+  return lockedKeys;
+}
+
 /**
  * Load settings
  */
 async function loadSettings() {
   try {
-    const settings = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    const [settings, lockedKeys] = await Promise.all([
+      chrome.runtime.sendMessage({ type: 'GET_SETTINGS' }),
+      getLockedKeys()
+    ]);
+    const toggleContainer = notificationsToggle.closest('.toggle-container');
+    const locked = lockedKeys.includes('notificationsEnabled');
     notificationsToggle.checked = settings.notificationsEnabled !== false;
+    notificationsToggle.disabled = locked;
+    toggleContainer.classList.toggle('managed', locked);
+    toggleContainer.title = locked ? MANAGED_TITLE : '';
+    loadForwarderStatus();
   } catch (error) {
     console.error('Error loading settings:', error);
   }
 }
 
+/**
+ * Show forwarding delivery status when forwarding is enabled
+ */
+async function loadForwarderStatus() {
+  try {
+    const { config, status, queued } = await chrome.runtime.sendMessage({ type: 'GET_FORWARDER_STATUS' });
+    if (!config.enabled) {
+      return;
+    }
+    
+    const state = status.state || 'idle';
+    const text = state === 'retrying'
+      ? `Collector unreachable, ${queued} queued`
+      : `Forwarding to collector, ${queued} queued`;
+    forwarderStatusEl.className = `forwarder-status ${state}`;
+    forwarderStatusEl.textContent = text;
+    forwarderStatusEl.title = status.lastError || '';
+    forwarderStatusEl.hidden = false;
+  } catch (error) {
+    console.error('Error loading forwarder status:', error);
+  }
+}
+
 /**
  * Setup event listeners
  */
@@ -183,6 +523,41 @@ function setupEventListeners() {
     }
   });
   
+  // Unlock bar
+  unlockHistoryBtn.addEventListener('click', unlockHistory);
+  unlockSecretInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      unlockHistory();
+    }
+  });
+  
+  // This Site quick actions
+  siteMuteBtn.addEventListener('click', toggleSiteMute);
+  
+  siteOpenDashboardBtn.addEventListener('click', () => {
+    chrome.tabs.create({
+      url: chrome.runtime.getURL(`dashboard/dashboard.html#domain=${encodeURIComponent(currentSite.domain)}`)
+    });
+  });
+  
+  siteClearLogsBtn.addEventListener('click', async () => {
+    if (confirm(`Clear all logs for ${currentSite.domain}? This cannot be undone.`)) {
+      try {
+        const result = await chrome.runtime.sendMessage({ type: 'CLEAR_DOMAIN_LOGS', domain: currentSite.domain });
+        if (!result.success) {
+          alert(`Could not clear logs: ${result.error}`);
+          return;
+        }
+        loadLogs();
+        loadSiteRisk(currentSite.domain);
+        loadSiteHistory(currentSite.domain);
+      } catch (error) {
+        console.error('Error clearing site logs:', error);
+        alert('Failed to clear logs. Please try again.');
+      }
+    }
+  });
+  
   // Notifications toggle
   notificationsToggle.addEventListener('change', async () => {
     try {
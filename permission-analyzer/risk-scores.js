@@ -0,0 +1,126 @@
+/**
+ * PERMISSION ANALYZER - RISK SCORES
+ * Per-domain privacy risk scoring. Kept free of extension APIs so the model
+ * can be tested under Node: loaded with importScripts by the service worker,
+ * required as a CommonJS module by the tests.
+ */
+
+/**
+ * PRIVACY RISK MODEL
+ * Each domain scores 0-100 as the sum of five capped factors:
+ *
+ * - permissionTypes: the weight of every distinct permission type the domain used
+ *   (screen capture and tampering weigh most, clipboard writes least)
+ * - frequency:       1 point per use, up to 15
+ * - hiddenTab:       5 points per use while the tab was hidden, up to 20
+ * - distinctPages:   1 point per page beyond the first that used a permission, up to 10
+ * - nightTime:       2 points per use between 00:00 and 06:00 local time, up to 10
+ *
+ * Only uses count - stopped, denied, failed and blocked attempts and permission
+ * prompts do not, since nothing was exposed.
+ * Levels: low < 25 <= medium < 50 <= high < 75 <= critical
+ */
+const RISK_WEIGHTS = {
+  permissionTypes: {
+    'screen-capture': 25,
+    'tamper': 25,
+    'camera': 20,
+    'microphone': 20,
+    'location': 15,
+    'clipboard-read': 15,
+    'fingerprinting': 15,
+    'usb': 10,
+    'hid': 10,
+    'serial': 10,
+    'bluetooth': 10,
+    'midi': 5,
+    'notifications': 5,
+    'clipboard-write': 3
+  },
+  frequency: { perEvent: 1, max: 15 },
+  hiddenTab: { perEvent: 5, max: 20 },
+  distinctPages: { perPage: 1, max: 10 },
+  nightTime: { perEvent: 2, max: 10, startHour: 0, endHour: 6 }
+};
+
+const RISK_LEVELS = [
+  { min: 75, level: 'critical' },
+  { min: 50, level: 'high' },
+  { min: 25, level: 'medium' },
+  { min: 0, level: 'low' }
+];
+
+// Actions that did not expose anything to the site
+const NON_USAGE_ACTIONS = ['stopped', 'denied', 'failed', 'blocked', 'prompted'];
+
+/**
+ * Score every domain in a set of logs, riskiest first
+ */
+function computeRiskScores(logs) {
+  const byDomain = new Map();
+
+  logs.forEach(log => {
+    if (NON_USAGE_ACTIONS.includes(log.action)) {
+      return;
+    }
+    if (!byDomain.has(log.domain)) {
+      byDomain.set(log.domain, {
+        types: new Set(),
+        events: 0,
+        hiddenEvents: 0,
+        nightEvents: 0,
+        pages: new Set(),
+        lastSeen: log.timestamp
+      });
+    }
+
+    const domainStats = byDomain.get(log.domain);
+    const hour = new Date(log.timestamp).getHours();
+    domainStats.types.add(log.permissionType);
+    domainStats.events++;
+    // Hashed URLs (origin/sha256-<hex>) differ in the path, so they stay distinct pages
+    domainStats.pages.add((log.url || '').split(/[?#]/)[0]);
+    if (log.isVisible === false) domainStats.hiddenEvents++;
+    if (hour >= RISK_WEIGHTS.nightTime.startHour && hour < RISK_WEIGHTS.nightTime.endHour) {
+      domainStats.nightEvents++;
+    }
+    if (log.timestamp > domainStats.lastSeen) domainStats.lastSeen = log.timestamp;
+  });
+
+  return Array.from(byDomain.entries()).map(([domain, domainStats]) => {
+    let typeScore = 0;
+    domainStats.types.forEach(type => {
+      typeScore += RISK_WEIGHTS.permissionTypes[type] || 5;
+    });
+
+    const factors = {
+      permissionTypes: typeScore,
+      frequency: Math.min(domainStats.events * RISK_WEIGHTS.frequency.perEvent, RISK_WEIGHTS.frequency.max),
+      hiddenTab: Math.min(domainStats.hiddenEvents * RISK_WEIGHTS.hiddenTab.perEvent, RISK_WEIGHTS.hiddenTab.max),
+      distinctPages: Math.min((domainStats.pages.size - 1) * RISK_WEIGHTS.distinctPages.perPage,
+        RISK_WEIGHTS.distinctPages.max),
+      nightTime: Math.min(domainStats.nightEvents * RISK_WEIGHTS.nightTime.perEvent, RISK_WEIGHTS.nightTime.max)
+    };
+
+    const score = Math.min(100, Object.values(factors).reduce((sum, value) => sum + value, 0));
+
+    return {
+      domain,
+      score,
+      level: RISK_LEVELS.find(entry => score >= entry.min).level,
+      factors,
+      permissionTypes: Array.from(domainStats.types),
+      eventCount: domainStats.events,
+      lastSeen: domainStats.lastSeen
+    };
+  }).sort((a, b) => b.score - a.score);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RISK_WEIGHTS,
+    RISK_LEVELS,
+    NON_USAGE_ACTIONS,
+    computeRiskScores
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * Tests for the SIEM export formats (permission-analyzer/dashboard/export-formats.js)
+ * Run with: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  CEF_SEVERITY,
+  formatNdjsonLine,
+  formatCefLine,
+  formatSyslogLine
+} = require('../permission-analyzer/dashboard/export-formats.js');
+
+const baseLog = {
+  id: '1700000000000-abc123def',
+  timestamp: '2024-01-15T10:30:00.000Z',
+  dateFormatted: 'Jan 15, 2024, 10:30:00 AM',
+  domain: 'meet.example.com',
+  url: 'https://meet.example.com/room?id=42',
+  permissionType: 'camera',
+  action: 'accessed',
+  metadata: { label: 'FaceTime HD' },
+  pageTitle: 'Team standup',
+  topDomain: 'meet.example.com',
+  isThirdPartyFrame: false
+};
+
+const makeLog = overrides => ({ ...baseLog, ...overrides });
+
+/**
+ * Split a CEF line into its 7 header fields and the extension,
+ * honouring escaped pipes
+ */
+function splitCef(line) {
+  const fields = [];
+  let current = '';
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '\\' && i + 1 < line.length) {
+      current += line[i] + line[i + 1];
+      i++;
+    } else if (line[i] === '|' && fields.length < 7) {
+      fields.push(current);
+      current = '';
+    } else {
+      current += line[i];
+    }
+  }
+  fields.push(current);
+  return fields;
+}
+
+test('NDJSON line carries the stable field set only', () => {
+  const record = JSON.parse(formatNdjsonLine(baseLog));
+  assert.deepEqual(record, {
+    timestamp: '2024-01-15T10:30:00.000Z',
+    permissionType: 'camera',
+    action: 'accessed',
+    domain: 'meet.example.com',
+    url: 'https://meet.example.com/room?id=42',
+    topDomain: 'meet.example.com',
+    thirdPartyFrame: false,
+    id: '1700000000000-abc123def'
+  });
+});
+
+test('NDJSON keeps one event per line and round-trips special characters', () => {
+  const url = 'https://a.example/p?q="x"|y=z\\w]\nnext\r\nline';
+  const line = formatNdjsonLine(makeLog({ url }));
+  assert.equal(line.includes('\n'), false);
+  assert.equal(line.includes('\r'), false);
+  assert.equal(JSON.parse(line).url, url);
+});
+
+test('NDJSON falls back to the frame domain and an empty URL', () => {
+  const record = JSON.parse(formatNdjsonLine(makeLog({ topDomain: undefined, url: undefined, isThirdPartyFrame: 1 })));
+  assert.equal(record.topDomain, 'meet.example.com');
+  assert.equal(record.url, '');
+  assert.equal(record.thirdPartyFrame, true);
+});
+
+test('CEF line has the version, signature, name and severity in the header', () => {
+  const fields = splitCef(formatCefLine(baseLog, '1.0.0'));
+  assert.equal(fields.length, 8);
+  assert.deepEqual(fields.slice(0, 7), [
+    'CEF:0',
+    'Permission Analyzer',
+    'Permission Analyzer',
+    '1.0.0',
+    'camera:accessed',
+    'Camera accessed',
+    '6'
+  ]);
+  assert.match(fields[7], /^rt=1705314600000 act=accessed dhost=meet\.example\.com /);
+  assert.match(fields[7], / cs1Label=permissionType cs1=camera /);
+  assert.match(fields[7], / cs3Label=thirdPartyFrame cs3=false /);
+  assert.match(fields[7], / externalId=1700000000000-abc123def$/);
+});
+
+test('CEF severity follows the permission type, 3 for anything else', () => {
+  Object.entries(CEF_SEVERITY).forEach(([permissionType, severity]) => {
+    assert.equal(splitCef(formatCefLine(makeLog({ permissionType }), '1.0.0'))[6], String(severity));
+  });
+  assert.equal(CEF_SEVERITY.tamper, 8);
+  assert.equal(CEF_SEVERITY['screen-capture'], 7);
+  assert.equal(splitCef(formatCefLine(makeLog({ permissionType: 'clipboard-write' }), '1.0.0'))[6], '3');
+  assert.equal(splitCef(formatCefLine(makeLog({ permissionType: 'usb' }), '1.0.0'))[6], '3');
+});
+
+test('CEF header fields escape backslashes and pipes', () => {
+  const fields = splitCef(formatCefLine(makeLog({ permissionType: 'odd|type\\x', action: 'a|b' }), '1.0|beta'));
+  assert.equal(fields.length, 8);
+  assert.equal(fields[3], '1.0\\|beta');
+  assert.equal(fields[4], 'odd\\|type\\\\x:a\\|b');
+  assert.equal(fields[5], 'odd\\|type\\\\x a\\|b');
+});
+
+test('CEF extension values escape backslashes, equals signs and line breaks', () => {
+  const line = formatCefLine(makeLog({ url: 'https://a.example/p?x=1&y=C:\\dir|"q"]\nnext\r\nlast\rend' }), '1.0.0');
+  assert.equal(line.includes('\n'), false);
+  assert.equal(line.includes('\r'), false);
+  assert.ok(line.includes(' request=https://a.example/p?x\\=1&y\\=C:\\\\dir|"q"]\\nnext\\nlast\\nend '));
+});
+
+test('CEF header fields never break the line', () => {
+  const line = formatCefLine(makeLog({ action: 'two\nlines' }), '1.0.0');
+  assert.equal(line.includes('\n'), false);
+  assert.equal(splitCef(line)[4], 'camera:two lines');
+});
+
+test('syslog line follows RFC 5424 layout', () => {
+  assert.equal(
+    formatSyslogLine(baseLog),
+    '<110>1 2024-01-15T10:30:00.000Z - permission-analyzer - camera ' +
+    '[permission@32473 permissionType="camera" action="accessed" domain="meet.example.com" ' +
+    'url="https://meet.example.com/room?id=42" topDomain="meet.example.com" thirdPartyFrame="false" ' +
+    'id="1700000000000-abc123def"] camera accessed on meet.example.com'
+  );
+});
+
+test('syslog severity is warning for tampering and refused requests', () => {
+  const priority = log => Number(formatSyslogLine(log).match(/^<(\d+)>/)[1]);
+  // facility 13 * 8 + 6 (informational) / 4 (warning)
+  assert.equal(priority(baseLog), 110);
+  assert.equal(priority(makeLog({ permissionType: 'tamper', action: 'overwrite' })), 108);
+  ['blocked', 'denied', 'failed'].forEach(action => {
+    assert.equal(priority(makeLog({ action })), 108);
+  });
+  assert.equal(priority(makeLog({ action: 'stopped' })), 110);
+});
+
+test('syslog parameter values escape backslashes, quotes and closing brackets', () => {
+  const line = formatSyslogLine(makeLog({ url: 'https://a.example/p?q="x"]&d=C:\\dir|y=z' }));
+  assert.ok(line.includes(' url="https://a.example/p?q=\\"x\\"\\]&d=C:\\\\dir|y=z" '));
+});
+
+test('syslog keeps one event per line', () => {
+  const line = formatSyslogLine(makeLog({ url: 'https://a.example/\nnext\r\nlast', domain: 'bad\nhost' }));
+  assert.equal(line.includes('\n'), false);
+  assert.equal(line.includes('\r'), false);
+  assert.ok(line.includes(' url="https://a.example/\\nnext\\nlast" '));
+  assert.ok(line.endsWith(' camera accessed on bad host'));
+});
+
+test('syslog MSGID is printable ASCII, at most 32 characters', () => {
+  const line = formatSyslogLine(makeLog({ permissionType: `caméra ${'x'.repeat(40)}` }));
+  const msgId = line.split(' ')[5];
+  assert.equal(msgId, `camra${'x'.repeat(27)}`);
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for the privacy risk model (permission-analyzer/risk-scores.js)
+ * Run with: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  RISK_WEIGHTS,
+  computeRiskScores
+} = require('../permission-analyzer/risk-scores.js');
+
+const baseLog = {
+  timestamp: '2024-01-15T12:30:00.000Z',
+  domain: 'meet.example.com',
+  url: 'https://meet.example.com/room',
+  permissionType: 'camera',
+  action: 'accessed',
+  isVisible: true
+};
+
+const makeLog = overrides => ({ ...baseLog, ...overrides });
+
+test('query strings and fragments do not make a new page', () => {
+  const [score] = computeRiskScores([
+    makeLog({ url: 'https://meet.example.com/room?id=1' }),
+    makeLog({ url: 'https://meet.example.com/room?id=2' }),
+    makeLog({ url: 'https://meet.example.com/room#chat' })
+  ]);
+  assert.equal(score.factors.distinctPages, 0);
+});
+
+test('hashed URLs count as distinct pages', () => {
+  const [score] = computeRiskScores([
+    makeLog({ url: `https://meet.example.com/sha256-${'a'.repeat(32)}` }),
+    makeLog({ url: `https://meet.example.com/sha256-${'b'.repeat(32)}` }),
+    makeLog({ url: `https://meet.example.com/sha256-${'c'.repeat(32)}` })
+  ]);
+  assert.equal(score.factors.distinctPages, 2 * RISK_WEIGHTS.distinctPages.perPage);
+});
+
+test('only uses count towards the score', () => {
+  const scores = computeRiskScores([
+    makeLog({ action: 'denied' }),
+    makeLog({ action: 'blocked', domain: 'ads.example.net' })
+  ]);
+  assert.deepEqual(scores, []);
+});
+
+test('domains are ordered riskiest first with a level', () => {
+  const scores = computeRiskScores([
+    makeLog({ domain: 'quiet.example.org', permissionType: 'clipboard-write' }),
+    makeLog({ permissionType: 'screen-capture', isVisible: false }),
+    makeLog({ permissionType: 'microphone' })
+  ]);
+  assert.deepEqual(scores.map(score => score.domain), ['meet.example.com', 'quiet.example.org']);
+  assert.equal(scores[0].level, 'high');
+  assert.equal(scores[1].level, 'low');
+});